@@ -0,0 +1,554 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var async = require('async');
+var hash = require('object-hash');
+var _ = require('lodash');
+
+const AGGREGATE_DDOC_SUFFIX = 'LBAggregate';
+const AGGREGATE_VIEW_NAME = 'aggregate';
+const FIELD_METRICS = ['sum', 'avg', 'min', 'max'];
+
+/**
+ * The number of aggregate design docs a model may have, each one indexes
+ * the whole database
+ */
+const DEFAULT_VIEW_LIMIT = 20;
+
+module.exports = mixinAggregate;
+
+function mixinAggregate(CouchDB) {
+  var debug = require('debug')('loopback:connector:couchdb2:aggregate');
+
+  /**
+   * Aggregate the instances of a model with map/reduce views. A view is
+   * generated per metric field, keyed by the properties of the equalities
+   * of the where filter and of the groups, in its own connector-owned design
+   * doc `LBModel__<Model>__LBAggregate__<hash>`, and reduced with `_sum`,
+   * `_stats` or `_count` at the `group_level` of the keys. The equalities
+   * select the rows with `startkey`/`endkey`, so the server returns one row
+   * per group.
+   *
+   * Example:
+   * ```
+   * ds.connector.aggregate('Order', {
+   *   where: {status: 'paid'},
+   *   groupBy: ['currency'],
+   *   metrics: {sum: 'total', avg: 'total', count: true},
+   * }, function(err, rows) {
+   *   // rows: [{currency: 'EUR', count: 2, sum: {total: 30},
+   *   //   avg: {total: 15}}, ...]
+   * });
+   * ```
+   *
+   * @param {String} model The model name
+   * @param {Object} spec The aggregation
+   * - `where`: equality conditions on properties other than the id
+   * - `groupBy`: the property or properties to group by
+   * - `metrics`: `sum`, `avg`, `min` and `max` name the numeric properties
+   * to aggregate, `count: true` counts the instances
+   * @param {Object} [options] The options object
+   * @callback {Function} cb Called with the rows, one per group
+   */
+  CouchDB.prototype.aggregate = function(model, spec, options, cb) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    spec = spec || {};
+    options = options || {};
+    debug('CouchDB.prototype.aggregate %j %j', model, spec);
+
+    var self = this;
+    const start = process.hrtime();
+    var mo = self.selectModel(model, options);
+    const logMessage = self.logContext('aggregate', model, mo, options);
+    logMessage.query = spec;
+
+    var where = spec.where || {};
+    var groupBy = [].concat(spec.groupBy || []);
+    var views;
+    try {
+      views = self.buildAggregateViews(model, mo, where, groupBy,
+        spec.metrics, options);
+    } catch (err) {
+      return done(err);
+    }
+    var params = aggregateParams(self, mo, views[0].keys, where, options);
+
+    self._ensureAggregateViews(model, mo, views, function(err) {
+      if (err) return done(err);
+      async.map(views, function(view, cb) {
+        mo.db.view(view.ddocName, AGGREGATE_VIEW_NAME, _.clone(params),
+          function(err, rst) {
+            debug('CouchDB.prototype.aggregate view %s %j', view.ddocName,
+              err);
+            cb(err, rst && rst.rows);
+          });
+      }, function(err, results) {
+        if (err) return done(err);
+        done(null, toAggregateRows(self, mo, groupBy, views, results));
+      });
+    });
+
+    function done(err, rows) {
+      if (err) {
+        self.dbLog(start, 'error', logMessage, null, null, err, false);
+        return cb(err);
+      }
+      self.dbLog(start, 'info', logMessage, rows.length, null, null, true);
+      cb(null, rows);
+    }
+  };
+
+  /**
+   * Build the design docs of an aggregation, one view per metric field and
+   * one counting the instances. The views are keyed by the properties of
+   * the equalities, not their values, so the filters on the same properties
+   * share them.
+   *
+   * @param {String} model The model name
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} where The where filter, equalities only
+   * @param {String[]} groupBy The properties to group by
+   * @param {Object} metrics The metrics
+   * @param {Object} [options] The options object
+   * @returns {Object[]} `{ddocName, ddoc, keys, field, metrics, reduce}` per
+   * view
+   */
+  CouchDB.prototype.buildAggregateViews = function(
+    model,
+    mo,
+    where,
+    groupBy,
+    metrics,
+    options
+  ) {
+    metrics = metrics || {count: true};
+    var keys = aggregateKeys(model, where || {}, groupBy, this.idName(model));
+
+    // the metrics requested by field, `_sum` is enough for sums only
+    var fields = {};
+    FIELD_METRICS.forEach(function(metric) {
+      [].concat(metrics[metric] || []).forEach(function(field) {
+        fields[field] = (fields[field] || []).concat(metric);
+      });
+    });
+    var specs = _.map(fields, function(fieldMetrics, field) {
+      var sumOnly = _.isEqual(fieldMetrics, ['sum']);
+      return {
+        field: field,
+        metrics: fieldMetrics,
+        reduce: sumOnly ? '_sum' : '_stats',
+      };
+    });
+    if (metrics.count) specs.push({field: null, reduce: '_count'});
+
+    var self = this;
+    return specs.map(function(spec) {
+      return _.assign(self.buildAggregateView(model, mo, keys, spec.field,
+        spec.reduce), {metrics: spec.metrics});
+    });
+  };
+
+  /**
+   * Build the design doc of an aggregate view. The keys start with whether
+   * the document is soft deleted when the model soft deletes. The design doc
+   * records the view in `aggregate` so stale ones can be told apart.
+   *
+   * @param {String} model The model name
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {String[]} keys The properties emitted as key
+   * @param {String} field The property aggregated, null to count
+   * @param {String} reduce The reduce function
+   * @returns {Object} `{ddocName, ddoc, keys, field, reduce}`
+   */
+  CouchDB.prototype.buildAggregateView = function(
+    model,
+    mo,
+    keys,
+    field,
+    reduce
+  ) {
+    var condition = this.buildModelMapCondition(model, mo);
+    if (!condition) {
+      throw new Error(g.f('The aggregations of %s require a {{modelSelector}} ' +
+        'of equality conditions', model));
+    }
+    var settings = this.getSoftDeleteSettings(mo);
+    var deletedAt = settings ? settings.deletedAt : null;
+    var key = keys.map(valueExpression);
+    if (deletedAt) key.unshift(valueExpression(deletedAt) + ' !== undefined');
+
+    var map = [
+      'function(doc) {',
+      '  if (!(' + condition + ')) return;',
+    ];
+    if (field) {
+      map.push(
+        '  var value = ' + valueExpression(field) + ';',
+        '  if (typeof value !== "number") return;',
+        '  emit([' + key.join(', ') + '], value);'
+      );
+    } else {
+      map.push('  emit([' + key.join(', ') + '], null);');
+    }
+    map.push('}');
+    var views = {};
+    views[AGGREGATE_VIEW_NAME] = {map: map.join('\n'), reduce: reduce};
+    var spec = {keys: keys, field: field, reduce: reduce};
+    var ddocName = this.getAggregateDesignDocPrefix(mo, model) +
+      hash({spec: spec, deletedAt: deletedAt});
+    return {
+      ddocName: ddocName,
+      ddoc: {
+        _id: '_design/' + ddocName,
+        language: 'javascript',
+        options: {partitioned: false},
+        views: views,
+        aggregate: spec,
+      },
+      keys: keys,
+      field: field,
+      reduce: reduce,
+    };
+  };
+
+  /**
+   * The name prefix of the aggregate design docs of a model
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {String} model The model name
+   * @returns {String} The prefix, without '_design/'
+   */
+  CouchDB.prototype.getAggregateDesignDocPrefix = function(mo, model) {
+    return this.getIndexModelPrefix(mo) + '__' + model + '__' +
+      AGGREGATE_DDOC_SUFFIX + '__';
+  };
+
+  /**
+   * The number of aggregate design docs a model may have, from the
+   * datasource setting `aggregateViewLimit`, 20 by default
+   *
+   * @returns {Number} The limit
+   */
+  CouchDB.prototype.getAggregateViewLimit = function() {
+    var limit = this.settings.aggregateViewLimit;
+    return limit > 0 ? limit : DEFAULT_VIEW_LIMIT;
+  };
+
+  /**
+   * Write the design docs of an aggregation. A design doc not written yet
+   * is refused when the model has reached the `aggregateViewLimit`.
+   *
+   * @param {String} model The model name
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object[]} views The views built by `buildAggregateViews`
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype._ensureAggregateViews = function(model, mo, views, cb) {
+    var self = this;
+    var known = self._designDocs || {};
+    var unknown = views.filter(function(view) {
+      return !known[mo.dbName + '/' + view.ddoc._id];
+    });
+    if (unknown.length === 0) return process.nextTick(cb);
+
+    self._listAggregateViews(mo, false, function(err, rows) {
+      if (err) return cb(err);
+      var ids = _.map(rows, 'id');
+      var added = unknown.filter(function(view) {
+        return ids.indexOf(view.ddoc._id) === -1;
+      });
+      var limit = self.getAggregateViewLimit();
+      if (added.length > 0 && ids.length + added.length > limit) {
+        err = new Error(g.f('%s has reached the limit of %d aggregate ' +
+          'views: drop the unused ones with {{cleanupAggregateViews}} or ' +
+          'raise {{aggregateViewLimit}}', model, limit));
+        err.statusCode = 400;
+        err.code = 'AGGREGATE_VIEW_LIMIT';
+        return cb(err);
+      }
+      async.each(unknown, function(view, cb) {
+        self.ensureDesignDoc(mo, view.ddoc, cb);
+      }, cb);
+    });
+  };
+
+  /**
+   * Drop aggregate design docs of a model: the ones that no longer match
+   * the model, e.g. after a change of its selector or of its `softDelete`
+   * setting, or all of them with `options.all`. Called by `automigrate` and
+   * `autoupdate`, the views in use are created again on first use.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} [options] The options object
+   * - `all`: drop every aggregate design doc of the model
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.cleanupAggregateViews = function(mo, options, cb) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    var self = this;
+    var model = mo.mo.model.modelName;
+    debug('CouchDB.prototype.cleanupAggregateViews %s %j', model, options);
+    self._listAggregateViews(mo, true, function(err, rows) {
+      if (err) return cb(err);
+      var dropped = rows.filter(function(row) {
+        return row.doc &&
+          (options.all || !isCurrentView(self, model, mo, row.doc));
+      });
+      async.each(dropped, function(row, cb) {
+        delete (self._designDocs || {})[mo.dbName + '/' + row.id];
+        mo.db.destroy(row.id, row.doc._rev, function(err) {
+          // dropped by another process in the meantime
+          if (err && err.statusCode !== 404 && err.statusCode !== 409) {
+            return cb(err);
+          }
+          cb();
+        });
+      }, cb);
+    });
+  };
+
+  /**
+   * List the aggregate design docs of a model
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Boolean} includeDocs True to read the design docs
+   * @callback {Function} cb Called with the `_all_docs` rows
+   */
+  CouchDB.prototype._listAggregateViews = function(mo, includeDocs, cb) {
+    var model = mo.mo.model.modelName;
+    var prefix = '_design/' + this.getAggregateDesignDocPrefix(mo, model);
+    /* eslint-disable camelcase */
+    var requestObject = {
+      path: '_all_docs',
+      method: 'get',
+      qs: {
+        startkey: prefix,
+        endkey: prefix + '\ufff0',
+        include_docs: includeDocs,
+      },
+    };
+    /* eslint-enable camelcase */
+    this.requestModelDb(mo, requestObject, function(err, result) {
+      if (err) return cb(err);
+      cb(null, result.rows || []);
+    });
+  };
+}
+
+/**
+ * Whether an aggregate design doc is the one the model builds today
+ */
+function isCurrentView(connector, model, mo, doc) {
+  var spec = doc.aggregate;
+  if (!spec || !Array.isArray(spec.keys)) return false;
+  var view;
+  try {
+    view = connector.buildAggregateView(model, mo, spec.keys, spec.field,
+      spec.reduce);
+  } catch (e) {
+    return false;
+  }
+  return view.ddoc._id === doc._id &&
+    _.isEqual(_.omit(view.ddoc, '_id'), _.omit(doc, ['_id', '_rev']));
+}
+
+/**
+ * The properties emitted as key: the properties of the equalities of the
+ * where filter, sorted, then the groups. The other conditions would emit a
+ * row per value and are refused.
+ *
+ * @param {String} model The model name
+ * @param {Object} where The where filter
+ * @param {String[]} groupBy The properties to group by
+ * @param {String} idName The id property of the model
+ * @returns {String[]} The properties
+ */
+function aggregateKeys(model, where, groupBy, idName) {
+  var fields = Object.keys(where).sort();
+  fields.forEach(function(field) {
+    if (field === 'and' || field === 'or' || field === idName ||
+      !isEquality(where[field])) {
+      var err = new Error(g.f('The aggregations of %s only filter with ' +
+        'equalities on properties other than the id, not with %j', model,
+      _.pick(where, field)));
+      err.statusCode = 400;
+      err.code = 'UNSUPPORTED_AGGREGATE_FILTER';
+      throw err;
+    }
+  });
+  return _.uniq(fields.concat(groupBy));
+}
+
+function isEquality(cond) {
+  if (cond === null || typeof cond !== 'object' || cond instanceof Date) {
+    return true;
+  }
+  return _.isEqual(Object.keys(cond), ['eq']) && (cond.eq === null ||
+    typeof cond.eq !== 'object' || cond.eq instanceof Date);
+}
+
+/**
+ * The view parameters of an aggregation: reduced at the level of the keys,
+ * within the range of the soft delete flag and of the equalities
+ */
+function aggregateParams(connector, mo, keys, where, options) {
+  var prefix = [];
+  var level = keys.length;
+  var narrowed = true;
+  if (connector.getSoftDeleteSettings(mo)) {
+    level++;
+    var clause = connector.getSoftDeleteClause(mo, options);
+    if (clause) prefix.push(_.values(clause)[0].$exists);
+    else narrowed = false;
+  }
+  keys.forEach(function(field) {
+    if (!narrowed || !_.has(where, field)) {
+      narrowed = false;
+      return;
+    }
+    var value = where[field];
+    if (value !== null && typeof value === 'object' &&
+      !(value instanceof Date)) {
+      value = value.eq;
+    }
+    prefix.push(value === undefined ? null : unDate(value));
+  });
+
+  /* eslint-disable camelcase */
+  var params = {reduce: true};
+  if (level > 0) params.group_level = level;
+  /* eslint-enable camelcase */
+  if (prefix.length > 0) {
+    params.startkey = prefix;
+    params.endkey = prefix.concat([{}]);
+  }
+  return params;
+}
+
+/**
+ * Turn the reduced rows of the views into one row per group. The rows of
+ * soft deleted and visible documents are merged with `withDeleted`.
+ */
+function toAggregateRows(connector, mo, groupBy, views, results) {
+  var keys = views[0].keys;
+  // the soft delete flag leads the keys
+  var offset = connector.getSoftDeleteSettings(mo) ? 1 : 0;
+  var groups = {};
+  results.forEach(function(viewRows, i) {
+    (viewRows || []).forEach(function(viewRow) {
+      var groupKey = groupBy.map(function(field) {
+        return viewRow.key[keys.indexOf(field) + offset];
+      });
+      var rowKey = JSON.stringify(groupKey);
+      var group = groups[rowKey] = groups[rowKey] ||
+        {key: groupKey, values: []};
+      group.values[i] = mergeValue(views[i].reduce, group.values[i],
+        viewRow.value);
+    });
+  });
+
+  return _.values(groups).sort(function(a, b) {
+    return compareKeys(a.key, b.key);
+  }).map(function(group) {
+    var row = groupValues(mo, groupBy, group.key);
+    views.forEach(function(view, i) {
+      var value = group.values[i];
+      if (value === undefined) return;
+      if (view.reduce === '_count') {
+        row.count = value;
+      } else if (view.reduce === '_sum') {
+        setMetric(row, 'sum', view.field, value);
+      } else {
+        var stats = _.assign({
+          avg: value.count > 0 ? value.sum / value.count : null,
+        }, value);
+        view.metrics.forEach(function(metric) {
+          setMetric(row, metric, view.field, stats[metric]);
+        });
+      }
+    });
+    return row;
+  });
+}
+
+function mergeValue(reduce, current, value) {
+  if (current === undefined) return value;
+  if (reduce !== '_stats') return current + value;
+  return {
+    sum: current.sum + value.sum,
+    count: current.count + value.count,
+    min: Math.min(current.min, value.min),
+    max: Math.max(current.max, value.max),
+    sumsqr: current.sumsqr + value.sumsqr,
+  };
+}
+
+/**
+ * Order the group keys as CouchDB collates them: null, booleans, numbers,
+ * strings, arrays and objects
+ */
+function compareKeys(a, b) {
+  for (var i = 0; i < a.length; i++) {
+    var rankA = collationRank(a[i]);
+    var rankB = collationRank(b[i]);
+    if (rankA !== rankB) return rankA - rankB;
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+function collationRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  return Array.isArray(value) ? 4 : 5;
+}
+
+function groupValues(mo, groupBy, key) {
+  var row = {};
+  groupBy.forEach(function(field, i) {
+    var value = key[i];
+    if (value !== null && value !== undefined &&
+      mo.dateFields.indexOf(field) !== -1) {
+      value = new Date(value);
+    }
+    _.set(row, field, value === undefined ? null : value);
+  });
+  return row;
+}
+
+function setMetric(row, metric, field, value) {
+  row[metric] = row[metric] || {};
+  row[metric][field] = value;
+}
+
+/**
+ * The javascript expression reading a property of `doc`, undefined when a
+ * parent object is missing
+ */
+function valueExpression(field) {
+  var path = 'doc';
+  field.split('.').forEach(function(part, i, parts) {
+    path += '[' + JSON.stringify(part) + ']';
+    if (i < parts.length - 1) path = '(' + path + ' || {})';
+  });
+  return path;
+}
+
+function unDate(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
@@ -0,0 +1,275 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var PassThrough = require('stream').PassThrough;
+
+module.exports = mixinAttachment;
+
+function mixinAttachment(CouchDB) {
+  var debug = require('debug')('loopback:connector:couchdb2:attachment');
+
+  /**
+   * Upload an attachment of a model instance. The document is read first to
+   * check it belongs to the model, its current revision is used when `rev`
+   * is not given.
+   *
+   * Example:
+   * ```
+   * ds.connector.putAttachment('Invoice', id, 'invoice.pdf',
+   *   fs.createReadStream('invoice.pdf'), 'application/pdf',
+   *   function(err, result) {
+   *     // result: {id, rev}, `rev` is the new document revision
+   *   });
+   * ```
+   *
+   * @param {String} model The model name
+   * @param {*} id The instance id
+   * @param {String} name The attachment name
+   * @param {Buffer|String|Stream} data The attachment content
+   * @param {String} contentType The attachment content type
+   * @param {String} [rev] The document revision
+   * @param {Object} [options] The options object
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.putAttachment = function(
+    model,
+    id,
+    name,
+    data,
+    contentType,
+    rev,
+    options,
+    cb
+  ) {
+    var args = revisionArgs(rev, options, cb);
+    debug('CouchDB.prototype.putAttachment %j %j %j', model, id, name);
+
+    var self = this;
+    const start = process.hrtime();
+    var mo = self.selectModel(model, args.options);
+    const logMessage = self.logContext('putAttachment', model, mo,
+      args.options);
+    logMessage.query = name;
+    id = id.toString();
+
+    withModelRevision(self, model, mo, id, args, function(err, rev) {
+      if (err) return done(err);
+      mo.db.attachment.insert(id, name, data, contentType, {rev: rev}, done);
+    });
+
+    function done(err, result) {
+      if (err) {
+        self.dbLog(start, 'error', logMessage, null, id, err, false);
+        return args.cb(err);
+      }
+      self._invalidateCache(mo, args.options, start, logMessage, [id],
+        function() {
+          self.dbLog(start, 'info', logMessage, null, id, null, true);
+          args.cb(null, {id: result.id, rev: result.rev});
+        });
+    }
+  };
+
+  /**
+   * Download an attachment of a model instance, the document is read first
+   * to check it belongs to the model. Without callback the content is
+   * streamed: the returned stream emits `metadata` with `{contentType,
+   * length, digest}` before the data, and `error` with a `statusCode` when
+   * the attachment can not be read.
+   *
+   * Example:
+   * ```
+   * ds.connector.getAttachment('Invoice', id, 'invoice.pdf')
+   *   .pipe(res);
+   * ```
+   *
+   * @param {String} model The model name
+   * @param {*} id The instance id
+   * @param {String} name The attachment name
+   * @param {Object} [options] The options object
+   * @callback {Function} [cb] Called with `(err, buffer)`
+   * @returns {Stream} The attachment content when no callback is given
+   */
+  CouchDB.prototype.getAttachment = function(model, id, name, options, cb) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    debug('CouchDB.prototype.getAttachment %j %j %j', model, id, name);
+
+    var self = this;
+    var mo = self.selectModel(model, options);
+    id = id.toString();
+    if (cb) {
+      return checkModelDoc(self, model, mo, id, options, function(err) {
+        if (err) return cb(err);
+        mo.db.attachment.get(id, name, notFound(model, id, name, cb));
+      });
+    }
+
+    var out = new PassThrough();
+    checkModelDoc(self, model, mo, id, options, function(err) {
+      if (err) return out.emit('error', err);
+      var req = mo.db.attachment.get(id, name);
+      req.on('error', function(err) {
+        out.emit('error', err);
+      });
+      req.on('response', function(res) {
+        if (res.statusCode >= 400) {
+          var body = '';
+          req.on('data', function(chunk) {
+            body += chunk;
+          });
+          req.on('end', function() {
+            out.emit('error', attachmentError(model, id, name, res.statusCode,
+              body));
+          });
+          return;
+        }
+        out.emit('metadata', {
+          contentType: res.headers['content-type'],
+          length: parseInt(res.headers['content-length']) || null,
+          digest: res.headers['content-md5'] || null,
+        });
+        req.pipe(out);
+      });
+    });
+    return out;
+  };
+
+  /**
+   * Delete an attachment of a model instance. The document is read first to
+   * check it belongs to the model, its current revision is used when `rev`
+   * is not given.
+   *
+   * @param {String} model The model name
+   * @param {*} id The instance id
+   * @param {String} name The attachment name
+   * @param {String} [rev] The document revision
+   * @param {Object} [options] The options object
+   * @callback {Function} cb Called with `(err, {id, rev})`
+   */
+  CouchDB.prototype.destroyAttachment = function(
+    model,
+    id,
+    name,
+    rev,
+    options,
+    cb
+  ) {
+    var args = revisionArgs(rev, options, cb);
+    debug('CouchDB.prototype.destroyAttachment %j %j %j', model, id, name);
+
+    var self = this;
+    const start = process.hrtime();
+    var mo = self.selectModel(model, args.options);
+    const logMessage = self.logContext('destroyAttachment', model, mo,
+      args.options);
+    logMessage.query = name;
+    id = id.toString();
+
+    withModelRevision(self, model, mo, id, args, function(err, rev) {
+      if (err) return done(err);
+      mo.db.attachment.destroy(id, name, {rev: rev},
+        notFound(model, id, name, done));
+    });
+
+    function done(err, result) {
+      if (err) {
+        self.dbLog(start, 'error', logMessage, null, id, err, false);
+        return args.cb(err);
+      }
+      self._invalidateCache(mo, args.options, start, logMessage, [id],
+        function() {
+          self.dbLog(start, 'info', logMessage, null, id, null, true);
+          args.cb(null, {id: result.id, rev: result.rev});
+        });
+    }
+  };
+}
+
+/**
+ * Normalize the optional `rev` and `options` arguments
+ *
+ * @param {String} rev The revision, options or callback
+ * @param {Object} options The options or callback
+ * @param {Function} cb The callback
+ * @returns {Object} `{rev, options, cb}`
+ */
+function revisionArgs(rev, options, cb) {
+  if (typeof rev === 'function') return {rev: null, options: {}, cb: rev};
+  if (rev && typeof rev === 'object') {
+    cb = options;
+    options = rev;
+    rev = null;
+  }
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  return {rev: rev || null, options: options || {}, cb: cb};
+}
+
+/**
+ * Check the document belongs to the model, as `exists` does
+ */
+function checkModelDoc(connector, model, mo, id, options, cb) {
+  connector._getModelDoc(model, mo, id, options, function(err, doc) {
+    if (err) return cb(err);
+    if (!doc) {
+      err = new Error(g.f('No instance with id %s found for %s', id, model));
+      err.statusCode = 404;
+      err.code = 'NOT_FOUND';
+      return cb(err);
+    }
+    cb(null, doc);
+  });
+}
+
+/**
+ * Check the document belongs to the model and give the revision to write:
+ * the given one or the current one
+ */
+function withModelRevision(connector, model, mo, id, args, cb) {
+  checkModelDoc(connector, model, mo, id, args.options, function(err, doc) {
+    if (err) return cb(err);
+    cb(null, args.rev || doc._rev);
+  });
+}
+
+/**
+ * Give a missing attachment a LoopBack style message and code
+ */
+function notFound(model, id, name, cb) {
+  return function(err, result) {
+    if (err && err.statusCode === 404) {
+      err.message = g.f('No attachment %s found for %s with id %s', name, model,
+        id);
+      err.code = 'NOT_FOUND';
+    }
+    cb(err, result);
+  };
+}
+
+function attachmentError(model, id, name, statusCode, body) {
+  var parsed = {};
+  try {
+    parsed = JSON.parse(body);
+  } catch (e) {
+    parsed.reason = body;
+  }
+  var err = new Error(statusCode === 404 ?
+    g.f('No attachment %s found for %s with id %s', name, model, id) :
+    parsed.reason || parsed.error);
+  err.statusCode = statusCode;
+  err.error = parsed.error;
+  err.reason = parsed.reason;
+  if (statusCode === 404) err.code = 'NOT_FOUND';
+  return err;
+}
@@ -0,0 +1,215 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var _ = require('lodash');
+var async = require('async');
+var BulkWriteError = require('./errors').BulkWriteError;
+
+/**
+ * The number of documents written by one `_bulk_docs` request
+ */
+const DEFAULT_CHUNK_SIZE = 500;
+
+/**
+ * The HTTP status of the `_bulk_docs` document errors
+ */
+const BULK_ERRORS = {
+  conflict: 409,
+  forbidden: 403,
+  unauthorized: 401,
+  /* eslint-disable camelcase */
+  not_found: 404,
+  /* eslint-enable camelcase */
+};
+
+module.exports = mixinBulk;
+
+function mixinBulk(CouchDB) {
+  var debug = require('debug')('loopback:connector:couchdb2:bulk');
+
+  /**
+   * Create model instances with `_bulk_docs`, one request per chunk. The
+   * generated ids are assigned back to the data of the created instances.
+   *
+   * @param {String} model The model name
+   * @param {Object[]} dataArray The model data
+   * @param {Object} [options] The options object
+   * - `allOrNothing`: delete the created documents when one of them fails
+   * - `chunkSize`: the number of documents by request
+   * @callback {Function} cb Called with the results by index, `{ok, id, rev}`
+   * or `{ok: false, id, error}`
+   */
+  CouchDB.prototype.createAll = function(model, dataArray, options, cb) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    const start = process.hrtime();
+    debug('CouchDB.prototype.createAll %j %d %j', model, dataArray.length,
+      options);
+    var self = this;
+    var idName = self.idName(model);
+    var mo = self.selectModel(model, options);
+    const logMessage = self.logContext('createAll', model, mo, options);
+
+    var results = new Array(dataArray.length);
+    var indexes = [];
+    var docs = [];
+    dataArray.forEach(function(data, index) {
+      var doc = self.toDB(model, mo, _.clone(data));
+      var err = mo.partitionKey && self.checkPartitionId(mo, model, doc);
+      if (err) {
+        results[index] = {ok: false, id: doc._id, error: err};
+        return;
+      }
+      indexes.push(index);
+      docs.push(doc);
+    });
+
+    self.bulkDocs(mo, docs, options, function(err, rows) {
+      if (err) return done(err);
+      rows.forEach(function(row, i) {
+        results[indexes[i]] = row.error ?
+          {ok: false, id: row.id, error: self.toBulkError(model, row)} :
+          {ok: true, id: row.id, rev: row.rev};
+      });
+      var failed = _.some(results, 'error');
+      if (!failed || !options.allOrNothing) return done();
+      self._rollbackCreated(mo, results, options, done);
+    });
+
+    function done(err) {
+      if (err) {
+        self.dbLog(start, 'error', logMessage, null, null, err, false);
+        return cb(err);
+      }
+      results.forEach(function(result, index) {
+        if (!result.ok) return;
+        result.id = toIdValue(mo, idName, result.id);
+        dataArray[index][idName] = result.id;
+      });
+      var written = _.some(results, 'rev');
+      var invalidate = written ?
+        self._invalidateCache.bind(self, mo, options, start, logMessage,
+          null) :
+        process.nextTick;
+      invalidate(function() {
+        if (options.allOrNothing && _.some(results, 'error')) {
+          err = new BulkWriteError(model, 'createAll', results);
+          self.dbLog(start, 'error', logMessage, null, null, err, false);
+          return cb(err);
+        }
+        self.dbLog(start, 'info', logMessage, null, null, null, true);
+        cb(null, results);
+      });
+    }
+  };
+
+  /**
+   * Delete the documents created by `createAll`, best effort: a document
+   * failing to be deleted stays in the results as created, with the
+   * `rollbackError`.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object[]} results The results of `createAll`
+   * @param {Object} options The options object
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype._rollbackCreated = function(mo, results, options, cb) {
+    var self = this;
+    var model = mo.mo.model.modelName;
+    var created = _.filter(results, 'ok');
+    var docs = created.map(function(result) {
+      return self.toDeletion(model, mo, {_id: result.id, _rev: result.rev});
+    });
+    debug('CouchDB.prototype._rollbackCreated %d', docs.length);
+    self.bulkDocs(mo, docs, options, function(err, rows) {
+      if (err) return cb(err);
+      created.forEach(function(result, i) {
+        if (rows[i].error) {
+          result.rollbackError = self.toBulkError(model, rows[i]);
+          return;
+        }
+        result.ok = false;
+        result.rolledBack = true;
+      });
+      cb();
+    });
+  };
+
+  /**
+   * Write documents with `_bulk_docs`, in chunks of `options.chunkSize`,
+   * the datasource `bulkChunkSize` setting or 500 documents. A failed
+   * request fails the documents of its chunk.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object[]} docs The documents
+   * @param {Object} [options] The options object
+   * @callback {Function} cb Called with the `_bulk_docs` rows of the
+   * documents, in order
+   */
+  CouchDB.prototype.bulkDocs = function(mo, docs, options, cb) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    var size = this.getBulkChunkSize(options);
+    var chunks = _.chunk(docs, size);
+    debug('CouchDB.prototype.bulkDocs %d %d', docs.length, chunks.length);
+    async.concatSeries(chunks, function(chunk, next) {
+      mo.db.bulk({docs: chunk}, function(err, rows) {
+        if (!err) return next(null, rows);
+        next(null, chunk.map(function(doc) {
+          return {id: doc._id, error: err};
+        }));
+      });
+    }, cb);
+  };
+
+  /**
+   * The number of documents by `_bulk_docs` request
+   *
+   * @param {Object} [options] The options object
+   * @returns {Number} The chunk size
+   */
+  CouchDB.prototype.getBulkChunkSize = function(options) {
+    var size = (options && options.chunkSize) || this.settings.bulkChunkSize;
+    return size > 0 ? size : DEFAULT_CHUNK_SIZE;
+  };
+
+  /**
+   * Turn a failed row of `_bulk_docs` into an error with the HTTP status,
+   * a document rejected by the `validate_doc_update` function of the model
+   * into a `ValidationError`
+   *
+   * @param {String} model The model name
+   * @param {Object} row The row `{id, error, reason}`
+   * @returns {Error} The error
+   */
+  CouchDB.prototype.toBulkError = function(model, row) {
+    if (row.error instanceof Error) return row.error;
+    var err = new Error(g.f('Unable to write %s with id %s: %s %s', model,
+      row.id, row.error, row.reason || ''));
+    err.statusCode = BULK_ERRORS[row.error] || 500;
+    err.code = String(row.error).toUpperCase();
+    err.error = row.error;
+    err.reason = row.reason;
+    return this.toValidationError(model, err);
+  };
+}
+
+/**
+ * The id of a document as the model id, a number when the model defines
+ * the id as Number
+ */
+function toIdValue(mo, idName, id) {
+  var prop = mo.mo.properties[idName];
+  if (prop && prop.type && prop.type.name === 'Number') return parseInt(id);
+  return id;
+}
@@ -0,0 +1,277 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var debug = require('debug')('loopback:connector:couchdb2:cache');
+
+const DEFAULT_MEMORY_MAX = 1000;
+
+/**
+ * Query cache adapters.
+ *
+ * An adapter stores values in fields grouped under a key, the connector uses
+ * the rendered model `cacheKey` as key and the rendered `cacheField` (plus
+ * method and filter hash) as field. Every adapter implements:
+ *
+ * - `get(key, field, cb)`: `cb(err, value)`, `value` is null on a miss
+ * - `set(key, field, value, ttl, cb)`: store a JSON serialisable value,
+ *   `ttl` in seconds, no expiry when falsy
+ * - `invalidate(key, fields, cb)`: drop the given fields of a key, or the
+ *   whole key when `fields` is null
+ * - `ttl(key, field, cb)`: `cb(err, seconds)` left before the field expires,
+ *   -1 when it never expires and -2 when it does not exist
+ * - `fields(key, cb)`: `cb(err, fields)` the names of the fields of a key,
+ *   only needed for the model setting `cacheInvalidation: 'document'`
+ * - `addIndex(indexKey, key, field, ttl, cb)`: optional, record that the
+ *   field of a key is listed by an index key, the index then lives as long
+ *   as the field. Without it the index is stored with `set`.
+ *
+ * A custom adapter object implementing these functions can be passed as the
+ * datasource `cache` setting.
+ */
+exports.createCacheAdapter = createCacheAdapter;
+exports.MemoryCache = MemoryCache;
+exports.RedisCache = RedisCache;
+
+/**
+ * Create the cache adapter from the datasource `cache` setting:
+ * - `{type: 'memory', max: 1000}`: in-process LRU cache
+ * - `{type: 'redis', host, port, db, prefix}` or `{type: 'redis', client}`:
+ *   Redis hashes, an existing `redis` client can be reused
+ * - an adapter object implementing get/set/invalidate/ttl/fields
+ *
+ * @param {Object} config The cache setting
+ * @returns {Object} The cache adapter, or null if no cache is configured
+ */
+function createCacheAdapter(config) {
+  if (!config) return null;
+  if (typeof config === 'string') config = {type: config};
+  if (typeof config.get === 'function' && typeof config.set === 'function')
+    return config;
+
+  switch (config.type) {
+    case 'memory':
+      return new MemoryCache(config);
+    case 'redis':
+      return new RedisCache(config);
+    default:
+      throw new Error(g.f('Invalid cache type: %s', config.type));
+  }
+}
+
+/**
+ * Wrap a value with its expiry time
+ *
+ * @param {*} value The value to cache
+ * @param {Number} ttl The time to live in seconds
+ * @returns {String} The serialised entry
+ */
+function serialise(value, ttl) {
+  return JSON.stringify({
+    value: value,
+    expires: ttl ? Date.now() + ttl * 1000 : null,
+  });
+}
+
+/**
+ * Parse a serialised entry, returns null when it has expired
+ *
+ * @param {String} entry The serialised entry
+ * @returns {Object} The entry `{value, expires}`
+ */
+function deserialise(entry) {
+  if (!entry) return null;
+  var parsed = JSON.parse(entry);
+  if (parsed.expires && parsed.expires <= Date.now()) return null;
+  return parsed;
+}
+
+/**
+ * Seconds left before an entry expires, using the Redis TTL conventions
+ *
+ * @param {Object} entry The entry `{value, expires}`
+ * @returns {Number} The seconds left, -1 without expiry, -2 for no entry
+ */
+function secondsLeft(entry) {
+  if (!entry) return -2;
+  if (!entry.expires) return -1;
+  return Math.ceil((entry.expires - Date.now()) / 1000);
+}
+
+/**
+ * In-process LRU cache, `max` is the maximum number of cached fields. The
+ * index keys are kept outside of the LRU and drop a field together with it,
+ * so an evicted index can not leave a query cached without invalidation.
+ *
+ * @param {Object} config The cache setting
+ * @constructor
+ */
+function MemoryCache(config) {
+  this.max = (config && config.max) || DEFAULT_MEMORY_MAX;
+  // Map preserves insertion order, the first entry is the least recently used
+  this.entries = new Map();
+  this.keyFields = new Map();
+  // index key => fields, and entry key => index keys listing it
+  this.indexes = new Map();
+  this.entryIndexes = new Map();
+}
+
+MemoryCache.prototype._entryKey = function(key, field) {
+  return JSON.stringify([key, field]);
+};
+
+MemoryCache.prototype._delete = function(key, field) {
+  var self = this;
+  var entryKey = self._entryKey(key, field);
+  self.entries.delete(entryKey);
+  (self.entryIndexes.get(entryKey) || []).forEach(function(indexKey) {
+    var fields = self.indexes.get(indexKey);
+    if (!fields) return;
+    fields.delete(field);
+    if (fields.size === 0) self.indexes.delete(indexKey);
+  });
+  self.entryIndexes.delete(entryKey);
+  var fields = self.keyFields.get(key);
+  if (!fields) return;
+  fields.delete(field);
+  if (fields.size === 0) self.keyFields.delete(key);
+};
+
+MemoryCache.prototype.get = function(key, field, cb) {
+  var entryKey = this._entryKey(key, field);
+  var entry = deserialise(this.entries.get(entryKey));
+  if (entry) {
+    // move to the most recently used position
+    var raw = this.entries.get(entryKey);
+    this.entries.delete(entryKey);
+    this.entries.set(entryKey, raw);
+  } else {
+    this._delete(key, field);
+  }
+  process.nextTick(cb, null, entry ? entry.value : null);
+};
+
+MemoryCache.prototype.set = function(key, field, value, ttl, cb) {
+  var entryKey = this._entryKey(key, field);
+  this.entries.delete(entryKey);
+  this.entries.set(entryKey, serialise(value, ttl));
+  if (!this.keyFields.has(key)) this.keyFields.set(key, new Set());
+  this.keyFields.get(key).add(field);
+
+  while (this.entries.size > this.max) {
+    var oldest = JSON.parse(this.entries.keys().next().value);
+    this._delete(oldest[0], oldest[1]);
+  }
+  if (cb) process.nextTick(cb, null);
+};
+
+MemoryCache.prototype.addIndex = function(indexKey, key, field, ttl, cb) {
+  var entryKey = this._entryKey(key, field);
+  if (!this.indexes.has(indexKey)) this.indexes.set(indexKey, new Set());
+  this.indexes.get(indexKey).add(field);
+  if (!this.entryIndexes.has(entryKey))
+    this.entryIndexes.set(entryKey, new Set());
+  this.entryIndexes.get(entryKey).add(indexKey);
+  if (cb) process.nextTick(cb, null);
+};
+
+MemoryCache.prototype.invalidate = function(key, fields, cb) {
+  var self = this;
+  if (self.indexes.has(key)) {
+    // the fields stay cached, only the index is dropped
+    self.indexes.delete(key);
+    if (cb) process.nextTick(cb, null);
+    return;
+  }
+  if (!fields) fields = Array.from(self.keyFields.get(key) || []);
+  fields.forEach(function(field) {
+    self._delete(key, field);
+  });
+  if (cb) process.nextTick(cb, null);
+};
+
+MemoryCache.prototype.ttl = function(key, field, cb) {
+  var entry = deserialise(this.entries.get(this._entryKey(key, field)));
+  process.nextTick(cb, null, secondsLeft(entry));
+};
+
+MemoryCache.prototype.fields = function(key, cb) {
+  var fields = this.indexes.get(key) || this.keyFields.get(key) || [];
+  process.nextTick(cb, null, Array.from(fields));
+};
+
+/**
+ * Redis cache storing the fields of a key in a Redis hash
+ *
+ * @param {Object} config The cache setting, either `client` or the
+ * `redis.createClient` options, defaults from the environment variables
+ * REDIS_HOST, REDIS_PORT, REDIS_DB and ENV_NAME
+ * @constructor
+ */
+function RedisCache(config) {
+  config = config || {};
+  if (config.client) {
+    this.client = config.client;
+  } else {
+    var redis = require('redis');
+    this.client = redis.createClient({
+      host: config.host || process.env.REDIS_HOST || '127.0.0.1',
+      port: config.port || process.env.REDIS_PORT || '6379',
+      db: config.db || process.env.REDIS_DB || '2',
+      prefix: config.prefix || process.env.ENV_NAME || 'development',
+    });
+  }
+}
+
+RedisCache.prototype.get = function(key, field, cb) {
+  var self = this;
+  self.client.hget(key, field, function(err, result) {
+    if (err) return cb(err);
+    var entry = deserialise(result);
+    if (!entry && result) {
+      self.client.hdel(key, field, function(err) {
+        if (err) debug('RedisCache hdel error %s', err.message);
+      });
+    }
+    cb(null, entry ? entry.value : null);
+  });
+};
+
+RedisCache.prototype.set = function(key, field, value, ttl, cb) {
+  var self = this;
+  self.client.hset(key, field, serialise(value, ttl), function(err) {
+    if (err || !ttl) return cb && cb(err);
+    // expire the hash with its longest lived field, the expiry of single
+    // fields is checked on read
+    self.client.ttl(key, function(err, keyTtl) {
+      if (err || keyTtl >= ttl) return cb && cb(err);
+      self.client.expire(key, ttl, function(err) {
+        if (cb) cb(err);
+      });
+    });
+  });
+};
+
+RedisCache.prototype.invalidate = function(key, fields, cb) {
+  var done = function(err) {
+    if (cb) cb(err);
+  };
+  if (!fields) return this.client.del(key, done);
+  if (fields.length === 0) return process.nextTick(done);
+  this.client.hdel([key].concat(fields), done);
+};
+
+RedisCache.prototype.ttl = function(key, field, cb) {
+  this.client.hget(key, field, function(err, result) {
+    if (err) return cb(err);
+    cb(null, secondsLeft(deserialise(result)));
+  });
+};
+
+RedisCache.prototype.fields = function(key, cb) {
+  this.client.hkeys(key, cb);
+};
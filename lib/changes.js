@@ -0,0 +1,316 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var _ = require('lodash');
+
+var debug = require('debug')('loopback:connector:couchdb2:changes');
+
+const DEFAULT_HEARTBEAT = 30000;
+const DEFAULT_RETRY_DELAY = 1000;
+const FEED_TYPES = ['continuous', 'longpoll', 'normal'];
+
+module.exports = mixinChanges;
+module.exports.ChangesFeed = ChangesFeed;
+
+function mixinChanges(CouchDB) {
+  /**
+   * Subscribe to the changes of a model, backed by the database `_changes`
+   * feed filtered with the same selector used for queries.
+   *
+   * Example:
+   * ```
+   * var feed = ds.connector.watch('User', {where: {age: {gt: 20}}},
+   *   function(err, change) {
+   *     // change: {id, seq, rev, deleted, data}
+   *   });
+   * feed.stop();
+   * ```
+   *
+   * Documents deleted from the database are reduced to tombstones that no
+   * longer carry the model properties. The deletions of the connector keep
+   * the model discriminator in the tombstone, only those are reported, and
+   * none when the model selector is not made of equalities.
+   *
+   * @param {String} model The model name
+   * @param {Object} options The options
+   * - `where`: the where filter selecting the watched documents
+   * - `since`: the sequence to start from, defaults to 'now'
+   * - `feed`: 'continuous' (default), 'longpoll' or 'normal'
+   * - `include_docs`: include the documents, defaults to true
+   * - `heartbeat`: ms between heartbeats in continuous mode
+   * - `timeout`: ms the server waits for changes in longpoll mode
+   * - `retryDelay`: ms before reconnecting after a connection error
+   * - `deleted`: report deletions, defaults to true
+   * - `modelEvents`: emit `changed`/`deleted` on the model, defaults to true
+   * @callback {Function} handler Called with `(err, change)`
+   * @returns {ChangesFeed} The feed, call `stop()` to unsubscribe
+   */
+  CouchDB.prototype.watch = function(model, options, handler) {
+    if (typeof options === 'function' && !handler) {
+      handler = options;
+      options = {};
+    }
+    options = options || {};
+    debug('CouchDB.prototype.watch %j %j', model, options);
+
+    var feedType = options.feed || 'continuous';
+    if (FEED_TYPES.indexOf(feedType) === -1) {
+      throw new Error(g.f('Invalid changes feed: %s', feedType));
+    }
+    var mo = this.selectModel(model, options);
+    var feed = new ChangesFeed(this, model, mo, options, handler);
+    if (!this.settings.createDatabase) {
+      feed.start();
+      return feed;
+    }
+    this.ensureModelDatabase(mo, function(err) {
+      if (err) return feed._fail(err);
+      feed.start();
+    });
+    return feed;
+  };
+}
+
+/**
+ * A subscription to the `_changes` feed of a model, emits `change` and
+ * `error` events and `stop` once stopped.
+ *
+ * @param {CouchDB} connector The connector
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} options The watch options
+ * @param {Function} handler The change handler
+ * @constructor
+ */
+function ChangesFeed(connector, model, mo, options, handler) {
+  EventEmitter.call(this);
+  this.connector = connector;
+  this.model = model;
+  this.mo = mo;
+  this.handler = handler;
+  this.feed = options.feed || 'continuous';
+  this.since = options.since === undefined ? 'now' : options.since;
+  this.includeDocs = options.include_docs !== false;
+  this.heartbeat = options.heartbeat || DEFAULT_HEARTBEAT;
+  this.timeout = options.timeout;
+  this.retryDelay = options.retryDelay || DEFAULT_RETRY_DELAY;
+  this.modelEvents = options.modelEvents !== false;
+  this.stopped = false;
+
+  var selector = connector.buildSelector(model, mo, options.where, options);
+  // the tombstones written by the connector keep the model equalities
+  var equalities = connector.getModelEqualities(model, mo);
+  this.selector = options.deleted === false || !equalities ? selector :
+    {$or: [selector, _.assign({_deleted: true}, equalities)]};
+}
+
+util.inherits(ChangesFeed, EventEmitter);
+
+ChangesFeed.prototype.start = function() {
+  if (this.stopped) return;
+  if (this.feed === 'continuous') this._stream();
+  else this._poll();
+};
+
+/**
+ * Stop the feed and abort the pending request
+ */
+ChangesFeed.prototype.stop = function() {
+  if (this.stopped) return;
+  debug('ChangesFeed.prototype.stop %s since %s', this.model, this.since);
+  this.stopped = true;
+  clearTimeout(this._retryTimer);
+  var req = this._request;
+  this._request = null;
+  if (req && typeof req.abort === 'function') req.abort();
+  this.emit('stop');
+};
+
+ChangesFeed.prototype._requestOptions = function() {
+  /* eslint-disable camelcase */
+  var qs = {
+    feed: this.feed,
+    filter: '_selector',
+    since: this.since,
+    include_docs: this.includeDocs,
+  };
+  /* eslint-enable camelcase */
+  if (this.feed !== 'normal') qs.heartbeat = this.heartbeat;
+  if (this.feed === 'longpoll' && this.timeout) qs.timeout = this.timeout;
+  return {
+    db: this.mo.dbName,
+    path: '_changes',
+    method: 'POST',
+    qs: qs,
+    body: {selector: this.selector},
+  };
+};
+
+/**
+ * Read the continuous feed, one JSON change per line, and reconnect from
+ * the last sequence when the server closes the connection.
+ */
+ChangesFeed.prototype._stream = function() {
+  var self = this;
+  var status = 200;
+  var buffer = '';
+  var req = self.connector.getDriverInst().request(self._requestOptions());
+  self._request = req;
+
+  req.on('response', function(res) {
+    status = res.statusCode;
+  });
+  req.on('data', function(chunk) {
+    if (req !== self._request) return;
+    buffer += chunk;
+    if (status >= 400) return;
+    var lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(function(line) {
+      self._onLine(line);
+    });
+  });
+  req.on('error', function(err) {
+    if (req !== self._request) return;
+    self._retry(err);
+  });
+  req.on('end', function() {
+    if (req !== self._request) return;
+    if (status >= 400) return self._fail(httpError(status, buffer));
+    if (buffer) self._onLine(buffer);
+    self._retry(null);
+  });
+};
+
+ChangesFeed.prototype._onLine = function(line) {
+  // empty lines are heartbeats
+  if (!line.trim()) return;
+  var row;
+  try {
+    row = JSON.parse(line);
+  } catch (e) {
+    debug('ChangesFeed.prototype._onLine invalid line %s', line);
+    return;
+  }
+  if (row.last_seq !== undefined) {
+    this.since = row.last_seq;
+  } else if (row.error) {
+    this._report(httpError(500, line));
+  } else {
+    this._onChange(row);
+  }
+};
+
+/**
+ * Query the longpoll or normal feed, longpoll queries again from the last
+ * sequence while the normal feed stops after one response.
+ */
+ChangesFeed.prototype._poll = function() {
+  var self = this;
+  var req = self.connector.getDriverInst().request(self._requestOptions(),
+    function(err, result) {
+      if (req !== self._request) return;
+      if (err) return err.statusCode ? self._fail(err) : self._retry(err);
+
+      (result.results || []).forEach(function(row) {
+        self._onChange(row);
+      });
+      if (result.last_seq !== undefined) self.since = result.last_seq;
+      if (self.feed === 'normal') return self.stop();
+      self.start();
+    });
+  self._request = req;
+};
+
+/**
+ * Reconnect after a connection error or a closed connection
+ *
+ * @param {Error} err The connection error, null if the server closed it
+ */
+ChangesFeed.prototype._retry = function(err) {
+  var self = this;
+  self._request = null;
+  if (self.stopped) return;
+  if (err) self._report(err);
+  debug('ChangesFeed.prototype._retry %s since %s', self.model, self.since);
+  self._retryTimer = setTimeout(function() {
+    self.start();
+  }, err ? self.retryDelay : 0);
+};
+
+/**
+ * Report an error the feed can not recover from, e.g. missing database or
+ * unauthorized, and stop.
+ *
+ * @param {Error} err The error
+ */
+ChangesFeed.prototype._fail = function(err) {
+  this._request = null;
+  this._report(err);
+  this.stop();
+};
+
+ChangesFeed.prototype._report = function(err) {
+  debug('ChangesFeed.prototype._report %s %s', this.model, err.message);
+  if (this.handler) this.handler(err);
+  if (this.listenerCount('error') > 0) this.emit('error', err);
+};
+
+ChangesFeed.prototype._onChange = function(row) {
+  this.since = row.seq;
+  if (row.id.indexOf('_design/') === 0) return;
+
+  var mo = this.mo;
+  var change = {
+    id: row.id,
+    seq: row.seq,
+    rev: row.changes && row.changes[0] && row.changes[0].rev,
+    deleted: !!row.deleted,
+  };
+  var idProp = mo.mo.properties[mo.idName];
+  if (idProp && idProp.type.name === 'Number') change.id = parseInt(row.id);
+  if (row.doc && !row.deleted) {
+    change.data = this.connector.fromDB(this.model, mo, _.clone(row.doc));
+  }
+
+  if (this.handler) this.handler(null, change);
+  this.emit('change', change);
+  if (this.modelEvents) this._emitModelEvent(change);
+};
+
+/**
+ * Surface the change as a LoopBack model event, `changed` with the model
+ * instance or `deleted` with the id.
+ *
+ * @param {Object} change The change
+ */
+ChangesFeed.prototype._emitModelEvent = function(change) {
+  var Model = this.mo.mo.model;
+  if (!Model || typeof Model.emit !== 'function') return;
+  if (change.deleted) return Model.emit('deleted', change.id);
+
+  var data = change.data || _.set({}, this.mo.idName, change.id);
+  Model.emit('changed', new Model(data, {applySetters: false, persisted: true}));
+};
+
+function httpError(statusCode, body) {
+  var parsed = {};
+  try {
+    parsed = JSON.parse(body);
+  } catch (e) {
+    parsed.reason = body;
+  }
+  var err = new Error(g.f('Changes feed error %s: %s', statusCode,
+    parsed.reason || parsed.error));
+  err.statusCode = statusCode;
+  err.error = parsed.error;
+  err.reason = parsed.reason;
+  return err;
+}
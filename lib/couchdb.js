@@ -23,27 +23,24 @@ var async = require('async');
 var url = require('url');
 var util = require('util');
 var _ = require('lodash');
-const winston = require('winston');
+const createTelemetrySink = require('./telemetry');
+const createCacheAdapter = require('./cache').createCacheAdapter;
+const ConflictError = require('./errors').ConflictError;
+const ValidationError = require('./errors').ValidationError;
+const BulkWriteError = require('./errors').BulkWriteError;
 
 const ejs = require('ejs');
 const hash = require('object-hash');
 
-const dblogger = winston.createLogger({
-  level: 'info',
-  format: winston.format.json(),
-  defaultMeta: {service: 'dbtracker'},
-  transports: [
-    new winston.transports.Http({
-      format: winston.format.json(),
-      host: '10.0.5.8',
-      port: 8081,
-    }),
-  ],
-});
-
 const DEFAULT_MODEL_VIEW = 'loopback__model__name';
 const DEFAULT_MODEL_PREFIX = 'LBModel';
 const DEFAULT_PROPERTY_PREFIX = 'LBIndex';
+const COUNT_DDOC_SUFFIX = 'LBCount';
+const COUNT_VIEW_NAME = 'count';
+const COUNT_PAGE_SIZE = 1000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF = 100;
+const DEFAULT_PAGE_SIZE = 25;
 
 /**
  * Initialize the CouchDB connector for the given data source
@@ -81,6 +78,8 @@ function CouchDB(name, settings, ds) {
   this.dataSource = ds;
   this.dbSwitching = settings.dbSwitching || false;
   this.dbSwitchingExceptions = settings.dbSwitchingExceptions || [];
+  this.telemetry = createTelemetrySink(settings.telemetry);
+  this.cache = createCacheAdapter(settings.cache);
 
   if (!settings.url && (!settings.username || !settings.password)) {
     throw new Error(
@@ -122,7 +121,13 @@ CouchDB.prototype.connect = function(cb) {
     }
   }
   self.couchdb = self.CouchDBDriver(self.options);
-  if (self.options.database) {
+  if (self.options.database && self.settings.createDatabase) {
+    self.ensureDatabase(self.options.database,
+      self.getCreateDatabaseOptions(), function(err) {
+        if (err) return cb(err);
+        return cb(err, self.couchdb);
+      });
+  } else if (self.options.database) {
     // check if database exists
     self.couchdb.db.get(self.options.database, function(err) {
       if (err) return cb(err);
@@ -162,6 +167,9 @@ CouchDB.prototype.toDB = function(modelName, modelObject, doc) {
   if (idValue) idValue = idValue.toString();
   var idName = this.idName(modelName);
   if (!doc) doc = {};
+  if (modelObject.partitionKey) {
+    idValue = this.buildPartitionId(modelObject, doc, idValue);
+  }
   for (var i in doc) {
     if (typeof doc[i] === 'undefined') delete doc[i];
   }
@@ -171,6 +179,10 @@ CouchDB.prototype.toDB = function(modelName, modelObject, doc) {
     if (idName !== '_id') delete doc[idName];
   }
   if (modelObject.modelView) doc[modelObject.modelView] = modelName;
+  if (doc._attachments) {
+    // keep the metadata of the instance, only the written doc needs stubs
+    doc = _.assign({}, doc, {_attachments: toAttachmentStubs(doc._attachments)});
+  }
   return doc;
 };
 
@@ -208,9 +220,51 @@ CouchDB.prototype.fromDB = function(modelName, modelObject, doc, fields) {
     if (dateValue) doc[dateField] = new Date(dateValue);
   }
   if (modelObject.modelView) delete doc[modelObject.modelView];
+  var partitionKey = modelObject.partitionKey;
+  if (partitionKey && doc[partitionKey] === undefined &&
+    (!fields || fields.includes(partitionKey))) {
+    var parsed = this.parsePartitionId(doc[idName]);
+    if (parsed) doc[partitionKey] = parsed.partition;
+  }
+  if (doc._attachments) {
+    doc._attachments = fromAttachmentStubs(doc._attachments);
+  }
   return doc;
 };
 
+/**
+ * Convert the attachment metadata of an instance back to the stubs CouchDB
+ * expects to keep the existing attachments, entries with inline base64
+ * `data` are new attachments and written as they are.
+ *
+ * @param {Object} attachments The attachments by name
+ * @returns {Object} The CouchDB `_attachments`
+ */
+function toAttachmentStubs(attachments) {
+  return _.mapValues(attachments, function(att) {
+    if (att && att.data) return att;
+    return {stub: true};
+  });
+}
+
+/**
+ * Expose the attachment stubs of a document as metadata:
+ * `{contentType, length, digest, revpos}` by attachment name
+ *
+ * @param {Object} attachments The CouchDB `_attachments`
+ * @returns {Object} The attachment metadata by name
+ */
+function fromAttachmentStubs(attachments) {
+  return _.mapValues(attachments, function(att) {
+    return {
+      contentType: att.content_type || att.contentType,
+      length: att.length,
+      digest: att.digest,
+      revpos: att.revpos,
+    };
+  });
+}
+
 /**
  * Insert a model instance
  *
@@ -223,46 +277,40 @@ CouchDB.prototype._insert = function(model, data, options, cb) {
   var self = this;
   var idName = self.idName(model);
   var mo = self.selectModel(model, options);
-  const logMessage = {
-    requestId: options ? (options.req ? options.req.id || null : null) : null,
-    method: '_insert',
-    model: model,
-    db: mo.dbName,
-  };
+  const logMessage = logContext('_insert', model, mo, options);
 
-  mo.db.insert(self.toDB(model, mo, data), function(err, result) {
-    // clear the cache key for this model where cache is active
-    let cacheKeys = null;
-    const redisDb = getRedisInstance(mo.mo.model, options);
-    if (redisDb) {
-      cacheKeys = getCacheKeys(mo.mo.model, null, options, null);
-      if (cacheKeys) {
-        redisDb.del(cacheKeys.rKey, (delErr, delRes) => {
-          if (err) {
-            dbLog(start, 'error', logMessage, null, null, delErr, false);
-          }
-          debug('Result of cache DEL ', delRes);
-        });
-      }
-    }
+  // a document with a revision replaces an existing one, without it is new
+  var isUpdate = !!data._rev;
+  var doc = self.toDB(model, mo, data);
+
+  var err = mo.partitionKey && self.checkPartitionId(mo, model, doc);
+  if (err) {
+    self.dbLog(start, 'error', logMessage, null, data.id, err, false);
+    return process.nextTick(cb, err);
+  }
 
+  mo.db.insert(doc, function(err, result) {
     debug('CouchDB.prototype.insert %j %j', err, result);
     if (err) {
       if (err.statusCode === 409) err.message = err.message + ' (duplicate?)';
-      dbLog(start, 'error', logMessage, null, data.id, err, false);
+      // rejected by the validate_doc_update function of the model
+      err = self.toValidationError(model, err);
+      self.dbLog(start, 'error', logMessage, null, data.id, err, false);
       return cb(err);
     }
     data[idName] = result.id;
-
-    // Convert ID to Number if Model defines ID as type Number
-    if (mo.mo.properties[idName]) {
-      var idType = mo.mo.properties[idName].type.name;
-      if (idType === 'Number') {
-        result.id = parseInt(result.id);
-      }
-    }
-    dbLog(start, 'info', logMessage, null, result.id, null, true);
-    cb(null, result.id, result.rev);
+    self._invalidateCache(mo, options, start, logMessage,
+      isUpdate ? [result.id] : null, function() {
+        // Convert ID to Number if Model defines ID as type Number
+        if (mo.mo.properties[idName]) {
+          var idType = mo.mo.properties[idName].type.name;
+          if (idType === 'Number') {
+            result.id = parseInt(result.id);
+          }
+        }
+        self.dbLog(start, 'info', logMessage, null, result.id, null, true);
+        cb(null, result.id, result.rev);
+      });
   });
 };
 
@@ -297,50 +345,16 @@ CouchDB.prototype.save = function(model, data, options, cb) {
   var mo = self.selectModel(model, options);
   data[idName] = id.toString();
 
+  const logMessage = logContext('save', model, mo, options);
+
   var saveHandler = function(err, id) {
-    let diff = process.hrtime(start);
-    let ms = diff[0] * 1e3 + diff[1] * 1e-6;
     if (err) {
-      dblogger.log({
-        level: 'info',
-        message: {
-          requestId: options ?
-            options.req ?
-              options.req.id || null :
-              null :
-            null,
-          method: 'save',
-          docId: id,
-          model: model,
-          db: mo.dbName,
-          success: false,
-          err: err,
-          time: ms,
-        },
-      });
+      self.dbLog(start, 'error', logMessage, null, id, err, false);
       return cb(err);
     }
     mo.db.get(id, function(err, doc) {
       if (err) return cb(err);
-      diff = process.hrtime(start);
-      ms = diff[0] * 1e3 + diff[1] * 1e-6;
-      dblogger.log({
-        level: 'info',
-        message: {
-          requestId: options ?
-            options.req ?
-              options.req.id || null :
-              null :
-            null,
-          method: 'save',
-          docId: id,
-          model: model,
-          db: mo.dbName,
-          success: true,
-          err: null,
-          time: ms,
-        },
-      });
+      self.dbLog(start, 'info', logMessage, null, id, null, true);
       cb(null, self.fromDB(model, mo, doc));
     });
   };
@@ -352,10 +366,15 @@ CouchDB.prototype.save = function(model, data, options, cb) {
  *
  * @param {String} model The model name
  * @param {String} id Instance id
+ * @param {Object} [options] The options object
  * @callback {Function} cb The callback function
  */
-CouchDB.prototype.getCurrentRevision = function(model, id, cb) {
-  var mo = this.selectModel(model);
+CouchDB.prototype.getCurrentRevision = function(model, id, options, cb) {
+  if (typeof options === 'function' && !cb) {
+    cb = options;
+    options = {};
+  }
+  var mo = this.selectModel(model, options);
   mo.db.head(id, function(err, stuff, headers) {
     if (err) {
       if (err.statusCode === 404) {
@@ -369,36 +388,163 @@ CouchDB.prototype.getCurrentRevision = function(model, id, cb) {
   });
 };
 
-function getRedisInstance(modelInstance, options) {
-  let redisDb = null;
-  // TODO integration tests should use cache
-  if (modelInstance.settings && modelInstance.settings.useCache) {
-    if (process.env.NODE_ENV !== 'test') {
-      if (
-        (options && options.req && options.req.redisDb) ||
-        modelInstance.name === 'Account'
-      ) {
-        if (
-          modelInstance.name === 'Account' &&
-          process.env.NODE_ENV !== 'test' &&
-          (!options || !options.req || !options.req.redisDb)
-        ) {
-          const redisConnection = require('redis');
-          redisDb = redisConnection.createClient(
-            {
-              host: process.env.REDIS_HOST || '127.0.0.1',
-              port: process.env.REDIS_PORT || '6379',
-              db: process.env.REDIS_DB || '2',
-              prefix: process.env.ENV_NAME || 'development',
-            }
-          );
-        } else {
-          redisDb = options.req.redisDb;
-        }
-      }
-    }
+/**
+ * Whether the model rejects writes with a stale revision, enabled by the
+ * model setting `couchdb.strictRevisions`
+ *
+ * @param {Object} mo The model object generated by selectModel()
+ * @returns {Boolean} True if revisions are checked
+ */
+CouchDB.prototype.isStrictRevisions = function(mo) {
+  var dbSettings = this.getModelObjectSettings(mo.mo);
+  return !!(dbSettings && dbSettings.strictRevisions);
+};
+
+/**
+ * Report a revision conflict with the current revision of the document
+ *
+ * @param {String} model The model name
+ * @param {String} id The document id
+ * @param {String} rev The revision given by the caller
+ * @param {Object} options The options object
+ * @callback {Function} cb Called with the ConflictError
+ */
+CouchDB.prototype._revisionConflict = function(model, id, rev, options, cb) {
+  this.getCurrentRevision(model, id, options, function(err, currentRev) {
+    if (err && err.statusCode !== 404) return cb(err);
+    cb(new ConflictError(model, id, rev, currentRev));
+  });
+};
+
+/**
+ * The revision a write expects to replace, `_rev` in the data or `rev` in
+ * the options
+ *
+ * @param {Object} data The model data
+ * @param {Object} options The options object
+ * @returns {String} The revision or null
+ */
+function requestedRevision(data, options) {
+  return (data && data._rev) || (options && options.rev) || null;
+}
+
+/**
+ * Return the cache adapter for a model, the datasource must have a `cache`
+ * setting and the model must enable it with the `useCache` setting.
+ *
+ * @param {Object} mo The model object generated by selectModel()
+ * @returns {Object} The cache adapter or null
+ */
+CouchDB.prototype.getCache = function(mo) {
+  var settings = mo.mo.model.settings;
+  if (!this.cache || !settings || !settings.useCache) return null;
+  return this.cache;
+};
+
+/**
+ * Store a query result in the cache, with the model setting `cacheTtl` as
+ * time to live in seconds. With the model setting
+ * `cacheInvalidation: 'document'` the query is also indexed by the ids of the
+ * returned instances, so that a write only drops the queries containing the
+ * written instance.
+ *
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} cacheKeys The cache key and field of the query
+ * @param {Object|Object[]} result The instance or instances to cache
+ * @callback {Function} cb The callback function
+ */
+CouchDB.prototype._cacheResult = function(mo, cacheKeys, result, cb) {
+  var cache = this.getCache(mo);
+  var settings = mo.mo.model.settings;
+  var ttl = settings.cacheTtl || null;
+  var ids = [];
+
+  if (settings.cacheInvalidation === 'document') {
+    ids = _.uniq(_.map(_.castArray(result), mo.idName).map(String));
+    // without the ids, e.g. filtered out by `fields`, the query could not
+    // be invalidated, so it is not cached
+    if (_.some(_.castArray(result), (doc) => doc[mo.idName] == null))
+      return process.nextTick(cb);
   }
-  return redisDb;
+
+  // index first, a write in between then drops the query before it is cached
+  async.each(ids, function(id, next) {
+    var indexKey = docIndexKey(cacheKeys.rKey, id);
+    if (typeof cache.addIndex === 'function') {
+      return cache.addIndex(indexKey, cacheKeys.rKey, cacheKeys.rField, ttl,
+        next);
+    }
+    cache.set(indexKey, cacheKeys.rField, true, ttl, next);
+  }, function(err) {
+    if (err) return cb(err);
+    cache.set(cacheKeys.rKey, cacheKeys.rField, result, ttl, cb);
+  });
+};
+
+/**
+ * Drop the cached queries of a model after a write. Failures are only
+ * logged, the write itself already happened.
+ *
+ * With the model setting `cacheInvalidation: 'document'` and the ids of the
+ * written instances, only the queries whose results contained one of the
+ * instances are dropped. Otherwise every cached query of the model is.
+ * The per-document invalidation misses the queries an updated instance
+ * newly matches, they stay cached until `cacheTtl`.
+ *
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} options The options object
+ * @param {Array} start The `process.hrtime()` at the start of the operation
+ * @param {Object} logMessage The telemetry context of the operation
+ * @param {String[]} [ids] The ids of the updated or deleted instances
+ * @callback {Function} [cb] Called once the cached queries are dropped, so
+ * a read following the write does not see them
+ */
+CouchDB.prototype._invalidateCache = function(
+  mo,
+  options,
+  start,
+  logMessage,
+  ids,
+  cb
+) {
+  var self = this;
+  cb = cb || _.noop;
+  var cache = self.getCache(mo);
+  if (!cache) return process.nextTick(cb);
+  var cacheKeys = getCacheKeys(mo.mo.model, null, options, null);
+  if (!cacheKeys) return process.nextTick(cb);
+
+  var done = function(err) {
+    if (err) self.dbLog(start, 'error', logMessage, null, null, err, false);
+    debug('CouchDB.prototype._invalidateCache %s %j %j', cacheKeys.rKey, ids,
+      err);
+    cb();
+  };
+
+  if (!ids || mo.mo.model.settings.cacheInvalidation !== 'document')
+    return cache.invalidate(cacheKeys.rKey, null, done);
+
+  async.each(_.uniq(ids.map(String)), function(id, next) {
+    var indexKey = docIndexKey(cacheKeys.rKey, id);
+    cache.fields(indexKey, function(err, fields) {
+      if (err) return next(err);
+      cache.invalidate(cacheKeys.rKey, fields, function(err) {
+        if (err) return next(err);
+        cache.invalidate(indexKey, null, next);
+      });
+    });
+  }, done);
+};
+
+/**
+ * The cache key listing the cached queries which contain a document
+ *
+ * @param {String} rKey The cache key of the model
+ * @param {String} id The document id
+ * @returns {String} The cache key of the document index
+ */
+function docIndexKey(rKey, id) {
+  return `${rKey}:doc:${id}`;
 }
 
 function getCacheKeys(modelInstance, method, options, data = null) {
@@ -408,9 +554,15 @@ function getCacheKeys(modelInstance, method, options, data = null) {
       Model: modelInstance,
       data: data,
     };
-    // TODO if template rendering fails, log error, return null
-    const rKey = ejs.render(modelInstance.settings.cacheKey, renderContext);
-    let rField = ejs.render(modelInstance.settings.cacheField, renderContext);
+    let rKey, rField;
+    try {
+      rKey = ejs.render(modelInstance.settings.cacheKey, renderContext);
+      rField = ejs.render(modelInstance.settings.cacheField, renderContext);
+    } catch (e) {
+      debug('Unable to render the cache key of %s: %s', modelInstance.modelName,
+        e.message);
+      return null;
+    }
     if (method) {
       rField = `${rField}:${method}`;
     }
@@ -428,7 +580,41 @@ function _msDiff(start) {
   return diff[0] * 1e3 + diff[1] * 1e-6;
 }
 
-function dbLog(
+/**
+ * Build the context of a telemetry record for a database operation
+ *
+ * @param {String} method The connector method name
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} options The options object
+ * @returns {Object} The record context
+ */
+function logContext(method, model, mo, options) {
+  return {
+    requestId: options && options.req ? options.req.id || null : null,
+    method: method,
+    model: model,
+    db: mo.dbName,
+  };
+}
+
+CouchDB.prototype.logContext = logContext;
+
+/**
+ * Send a telemetry record to the sink configured by the datasource setting
+ * `telemetry`. Every operation produces a record of the same shape:
+ * `{level, requestId, method, model, db, docId, query, result, success,
+ * err, time}` plus any extra property set on the context, e.g. `cacheKey`.
+ *
+ * @param {Array} start The `process.hrtime()` at the start of the operation
+ * @param {String} level The log level, `info` or `error`
+ * @param {Object} message The record context built by `logContext`
+ * @param {*} result The result summary, e.g. the number of documents
+ * @param {String} docId The document id if the operation has one
+ * @param {Error} err The error if the operation failed
+ * @param {Boolean} success Whether the operation succeeded
+ */
+CouchDB.prototype.dbLog = function(
   start,
   level = 'info',
   message,
@@ -437,19 +623,34 @@ function dbLog(
   err = null,
   success = true
 ) {
-  message.result = result;
-  message.err = err;
-  message.success = success;
-  message.docId = docId;
-  message.time = _msDiff(start);
-  dblogger.log({
+  if (!this.telemetry) return;
+  const record = _.assign({
     level: level,
-    message,
+    requestId: null,
+    method: null,
+    model: null,
+    db: null,
+    query: null,
+  }, message, {
+    docId: docId,
+    result: result === undefined ? null : result,
+    success: success,
+    err: err ? _.pick(err, ['message', 'statusCode', 'error', 'reason']) : null,
+    time: start ? _msDiff(start) : null,
   });
-}
+  // the query may still be extended, e.g. with the next bookmark
+  if (record.query) record.query = _.cloneDeep(record.query);
+  try {
+    this.telemetry(record);
+  } catch (e) {
+    debug('CouchDB.prototype.dbLog telemetry sink failed %s', e.message);
+  }
+};
 
 /**
- * Find matching model instances by the filter
+ * Find matching model instances by the filter. `filter.bookmark` continues
+ * from the bookmark of a previous page, and when `options.pageInfo` is an
+ * object it receives the `bookmark` of the next page and `hasMore`.
  *
  * @param {String} model The model name
  * @param {Object} filter The filter
@@ -457,37 +658,25 @@ function dbLog(
  * @callback {Function} cb The callback function
  */
 CouchDB.prototype.all = function all(model, filter, options, cb) {
-  let getCachedResult = true;
   const start = process.hrtime();
   var self = this;
+  filter = filter || {};
+  options = options || {};
   var docs = [];
   var include = null;
-  var mo = self.selectModel(model, options);
-  /* eslint-disable camelcase */
-  var query = {
-    selector: self.buildSelector(model, mo, filter.where, options),
-  };
+  // queries pinning the partition key are answered by the partition
+  var mo = self.selectPartition(self.selectModel(model, options),
+    filter.where);
+  var query = self.buildFindQuery(model, mo, filter, options);
+  // id-only `inq` filters, e.g. of findByIds and includes, read the ids
+  var ids = self.getInqIds(model, mo, filter);
 
-  const logMessage = {
-    requestId: options ? (options.req ? options.req.id || null : null) : null,
-    method: 'all',
-    model: model,
-    db: mo.dbName,
-    query: query,
-  };
-
-  // if the user specifies use_index
-  if (options.use_index) query.use_index = options.use_index;
+  const logMessage = logContext('all', model, mo, options);
+  logMessage.query = ids ? {keys: ids} : query;
 
-  /* eslint-enable camelcase */
-  if (filter.couchFields) query.fields = filter.couchFields;
-  if (filter.offset) query.skip = filter.offset;
   // If the query is for an include, a high limit is applied to ensure all related records are found
-  // this is overridden below if an explicit limit was specified for the include
-  if (options.include) query.limit = 99999;
-  if (filter.limit) query.limit = filter.limit;
-  if (filter.fields) query.fields = filter.fields.concat('_id');
-  if (filter.order) query.sort = self.buildSort(mo, model, filter.order);
+  // unless an explicit limit was specified for the include
+  if (options.include && !filter.limit) query.limit = 99999;
   debug('CouchDB.prototype.all %j %j %j', model, filter, query);
   include = function(docs, cb) {
     if (!options || !options.raw) {
@@ -504,111 +693,230 @@ CouchDB.prototype.all = function all(model, filter, options, cb) {
     }
   };
 
-  let cacheKeys = null;
-  const redisDb = getRedisInstance(mo.mo.model, options);
-  if (redisDb) {
-    cacheKeys = getCacheKeys(mo.mo.model, 'all', options, filter);
-    if (cacheKeys) {
-      logMessage.cacheKey = cacheKeys.rKey;
-      logMessage.cacheField = cacheKeys.rField;
-      debug(`Checking cache ${cacheKeys.rKey}:${cacheKeys.rField}`);
-      // TODO conditional cache check - i.e. certain filter query field combos - or use query in key
-      redisDb.hget(
-        cacheKeys.rKey,
-        cacheKeys.rField,
-        (cacheErr, cacheResult) => {
-          if (cacheResult && !cacheErr) {
-            const parsedResult = JSON.parse(cacheResult);
-            logMessage.cache = true;
-            dbLog(
-              start,
-              'info',
-              logMessage,
-              cacheResult,
-              null,
-              null,
-              true
-            );
-            return cb(null, parsedResult);
-          } else if (cacheErr) {
-            debug('CACHE ERROR ', cacheErr);
-          }
-          debug('No cache, fetching data');
-          self._findRecursive(mo, query, docs, include, options, function(
-            err,
-            result
-          ) {
-            if (err) {
-              debug('Error fetching data ', err);
-              dbLog(
-                start,
-                'error',
-                logMessage,
-                result ? result.docs ? result.docs.length || null : null : null,
-                null,
-                err,
-                false
-              );
-              return cb(err, result);
-            }
-
-            dbLog(
-              start,
-              'info',
-              logMessage,
-              result.docs.length,
-              null,
-              null,
-              true
-            );
-
-            debug('Setting result in cache');
-            return redisDb.hset(
-              cacheKeys.rKey,
-              cacheKeys.rField,
-              JSON.stringify(result.docs),
-              (hsetErr, hsetResult) => {
-                debug('HSET result: ', hsetResult);
-                if (hsetErr) {
-                  dbLog(
-                    start,
-                    'error',
-                    logMessage,
-                    result.docs.length,
-                    null,
-                    err,
-                    false
-                  );
-                  debug('HSET error: ', hsetErr);
-                }
-                debug('returning result after caching');
-                return cb(null, result.docs);
-              }
-            );
-          });
-        }
-      );
-    } else {
-      getCachedResult = false;
-    }
-  } else {
-    getCachedResult = false;
-  }
-
-  if (!getCachedResult) {
-    self._findRecursive(mo, query, docs, include, options, function(
-      err,
-      result
-    ) {
+  // raw queries read documents for a following write, they bypass the cache,
+  // so do the paged queries as cached results carry no bookmark, and the
+  // queries of soft deleted documents as the cache key ignores the options
+  const bypass = options.raw || options.pageInfo || options.withDeleted ||
+    options.onlyDeleted;
+  const cache = bypass ? null : self.getCache(mo);
+  const cacheKeys = cache ?
+    getCacheKeys(mo.mo.model, 'all', options, filter) :
+    null;
+
+  var fetch = function() {
+    var find = ids ?
+      self._findByIds.bind(self, mo, ids, query, filter, options, include) :
+      self._findRecursive.bind(self, mo, query, docs, include, options);
+    find(function(err, result) {
       if (err) {
-        dbLog(start, 'error', logMessage, result.docs.length, null, err, false);
+        self.dbLog(start, 'error', logMessage, null, null, err, false);
         return cb(err, result);
       }
 
-      dbLog(start, 'info', logMessage, result.docs.length, null, null, true);
-      cb(null, result.docs);
+      self.dbLog(start, 'info', logMessage, result.docs.length, null, null, true);
+      if (options.pageInfo) setPageInfo(options.pageInfo, query, result);
+      if (!cacheKeys) return cb(null, result.docs);
+
+      debug('Setting result in cache');
+      self._cacheResult(mo, cacheKeys, result.docs, (err) => {
+        if (err) {
+          self.dbLog(start, 'error', logMessage, result.docs.length, null,
+            err, false);
+        }
+        cb(null, result.docs);
+      });
     });
+  };
+
+  if (!cacheKeys) return fetch();
+
+  logMessage.cacheKey = cacheKeys.rKey;
+  logMessage.cacheField = cacheKeys.rField;
+  debug(`Checking cache ${cacheKeys.rKey}:${cacheKeys.rField}`);
+  cache.get(cacheKeys.rKey, cacheKeys.rField, (err, cached) => {
+    if (err) debug('CACHE ERROR ', err);
+    if (!err && cached) {
+      logMessage.cache = true;
+      self.dbLog(start, 'info', logMessage, cached.length, null, null, true);
+      return cb(null, cached);
+    }
+    debug('No cache, fetching data');
+    fetch();
+  });
+};
+
+/**
+ * The ids of a filter whose where is only an `inq` on the id, served by
+ * `_all_docs`. Returns null for the other filters, and for models whose
+ * selector is not made of equality conditions.
+ *
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} filter The filter
+ * @returns {String[]} The document ids
+ */
+CouchDB.prototype.getInqIds = function(model, mo, filter) {
+  var where = filter.where;
+  var idName = this.idName(model);
+  if (!where || filter.bookmark || !idName) return null;
+  if (!_.isEqual(Object.keys(where), [idName])) return null;
+  var cond = where[idName];
+  if (!cond || !_.isEqual(Object.keys(cond), ['inq']) ||
+    !Array.isArray(cond.inq)) {
+    return null;
   }
+  if (this.getModelEqualities(model, mo) === null) return null;
+  return _.uniq(cond.inq.map(String));
+};
+
+/**
+ * Find the model instances of a list of ids with one `_all_docs` request.
+ * The documents of other models are left out, and without `order` the
+ * documents keep the order of the ids.
+ *
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {String[]} ids The document ids
+ * @param {Object} query The `_find` query of the filter, for its sort
+ * @param {Object} filter The filter, for `order`, `skip` and `limit`
+ * @param {Object} options The options object
+ * @param {Function} include Converts the documents and resolves includes
+ * @callback {Function} cb Called with `{docs}`
+ */
+CouchDB.prototype._findByIds = function(
+  mo,
+  ids,
+  query,
+  filter,
+  options,
+  include,
+  cb
+) {
+  var self = this;
+  var model = mo.mo.model.modelName;
+  if (ids.length === 0) return process.nextTick(cb, null, {docs: []});
+
+  mo.db.fetch({keys: ids}, function(err, rst) {
+    debug('CouchDB.prototype.all (findByIds) results: %j', err);
+    if (err) return cb(err);
+    var equalities = self.getModelEqualities(model, mo);
+    var docs = (rst.rows || []).filter(function(row) {
+      return row.doc && _.every(equalities, function(value, key) {
+        return _.get(row.doc, key) === value;
+      }) && self.isVisibleDoc(mo, row.doc, options);
+    }).map(function(row) {
+      return row.doc;
+    });
+
+    if (filter.order && query.sort) {
+      var idName = self.idName(model);
+      var numericId = mo.mo.properties[idName] &&
+        mo.mo.properties[idName].type.name === 'Number';
+      var fields = query.sort.map(function(sort) {
+        var field = Object.keys(sort)[0];
+        if (field === '_id' && numericId) {
+          return function(doc) {
+            return Number(doc._id);
+          };
+        }
+        return field;
+      });
+      docs = _.orderBy(docs, fields, query.sort.map(function(sort) {
+        return _.values(sort)[0];
+      }));
+    }
+    var skip = filter.skip || filter.offset || 0;
+    var limit = self.getLimit(filter.limit);
+    docs = docs.slice(skip, limit ? skip + limit : undefined);
+    if (query.fields) {
+      docs = docs.map(function(doc) {
+        return _.pick(doc, query.fields);
+      });
+    }
+
+    include(docs, function(err) {
+      if (err) return cb(err);
+      cb(null, {docs: docs});
+    });
+  });
+};
+
+/**
+ * Record where the next page of a query starts
+ *
+ * @param {Object} pageInfo The `options.pageInfo` object
+ * @param {Object} query The `_find` query
+ * @param {Object} result The last `_find` result
+ */
+function setPageInfo(pageInfo, query, result) {
+  var bookmark = result.bookmark && result.bookmark !== 'nil' ?
+    result.bookmark : null;
+  pageInfo.bookmark = bookmark;
+  pageInfo.hasMore = !!bookmark && !!query.limit &&
+    result.docs.length >= query.limit;
+}
+
+/**
+ * Find one page of model instances. Pass the returned `bookmark` as
+ * `filter.bookmark` to read the next page, which stays fast however deep
+ * the page is unlike `offset`.
+ *
+ * Example:
+ * ```
+ * ds.connector.findPage('User', {where: {active: true}, limit: 50},
+ *   function(err, page) {
+ *     // page: {data, bookmark, hasMore}
+ *   });
+ * ```
+ *
+ * @param {String} model The model name
+ * @param {Object} filter The filter, `limit` defaults to the global limit
+ * or 25
+ * @param {Object} options The options object
+ * @callback {Function} cb The callback function
+ */
+CouchDB.prototype.findPage = function(model, filter, options, cb) {
+  filter = _.assign({}, filter);
+  filter.limit = this.getLimit(filter.limit) || DEFAULT_PAGE_SIZE;
+  var pageInfo = {};
+  options = _.assign({}, options, {pageInfo: pageInfo});
+  debug('CouchDB.prototype.findPage %j %j', model, filter);
+  this.all(model, filter, options, function(err, data) {
+    if (err) return cb(err);
+    cb(null, {
+      data: data,
+      bookmark: pageInfo.bookmark,
+      hasMore: pageInfo.hasMore,
+    });
+  });
+};
+
+/**
+ * Build the `_find` query of a filter
+ *
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} filter The filter
+ * @param {Object} options The options object
+ * @returns {Object} The query
+ */
+CouchDB.prototype.buildFindQuery = function(model, mo, filter, options) {
+  /* eslint-disable camelcase */
+  var query = {
+    selector: this.buildSelector(model, mo, filter.where, options),
+  };
+
+  // if the user specifies use_index
+  if (options.use_index) query.use_index = options.use_index;
+
+  /* eslint-enable camelcase */
+  if (filter.couchFields) query.fields = filter.couchFields;
+  // the bookmark already points past the skipped documents
+  if (filter.bookmark) query.bookmark = filter.bookmark;
+  else if (filter.offset) query.skip = filter.offset;
+  if (filter.limit) query.limit = filter.limit;
+  if (filter.fields) query.fields = filter.fields.concat('_id');
+  if (filter.order) query.sort = this.buildSort(mo, model, filter.order);
+  return query;
 };
 
 /**
@@ -620,15 +928,37 @@ CouchDB.prototype.all = function all(model, filter, options, cb) {
  */
 CouchDB.prototype.buildSelector = function(model, mo, where, options) {
   var self = this;
-  var query = mo.modelSelector || {};
+  var query = _.clone(mo.modelSelector) || {};
   if (mo.modelSelector === null) query[mo.modelView] = model;
-  if (where === null || typeof where !== 'object') return query;
+  // soft deleted documents are left out unless asked for
+  var clause = self.getSoftDeleteClause(mo, options);
+  if (where === null || typeof where !== 'object')
+    return addClause(query, clause);
 
   var idName = self.idName(model);
 
-  return self._buildQuery(model, idName, query, where, options);
+  return addClause(self._buildQuery(model, idName, query, where, options),
+    clause);
 };
 
+/**
+ * Add a clause to a selector, with `$and` when the selector already has
+ * a condition on the property
+ *
+ * @param {Object} selector The selector
+ * @param {Object} clause The clause or null
+ * @returns {Object} The selector
+ */
+function addClause(selector, clause) {
+  if (!clause) return selector;
+  var key = Object.keys(clause)[0];
+  if (!selector.hasOwnProperty(key)) {
+    selector[key] = clause[key];
+    return selector;
+  }
+  return {$and: [selector, clause]};
+}
+
 /**
  * Build a sort query using order filter
  *
@@ -677,7 +1007,8 @@ CouchDB.prototype._destroy = function _destroy(model, id, rev, options, cb) {
 };
 
 /**
- * Delete a model instance by id
+ * Delete a model instance by id, soft delete it with the model setting
+ * `couchdb.softDelete`
  *
  * @param {String} model The model name
  * @param {*} id The id value
@@ -686,15 +1017,16 @@ CouchDB.prototype._destroy = function _destroy(model, id, rev, options, cb) {
  */
 CouchDB.prototype.destroy = function destroy(model, id, options, cb) {
   const start = process.hrtime();
+  var self = this;
   var mo = this.selectModel(model, options);
   const passedOptions = {raw: true};
   Object.assign(passedOptions, options);
-  const logMessage = {
-    requestId: options ? (options.req ? options.req.id || null : null) : null,
-    method: 'destroy',
-    model: model,
-    db: mo.dbName,
-  };
+  const logMessage = logContext('destroy', model, mo, options);
+  var strict = self.isStrictRevisions(mo);
+  var rev = requestedRevision(null, options);
+  var soft = !!self.getSoftDeleteSettings(mo);
+  // a soft deleted instance is not deleted again
+  if (soft) _.assign(passedOptions, {withDeleted: false, onlyDeleted: false});
   this.all(model, {where: {id: id}}, passedOptions, function(err, doc) {
     if (err) return cb(err);
     if (doc.length > 1)
@@ -702,24 +1034,20 @@ CouchDB.prototype.destroy = function destroy(model, id, options, cb) {
         new Error('instance method destroy tries to delete more than one item!')
       );
     else if (doc.length === 1) {
-      mo.db.destroy(doc[0]._id, doc[0]._rev, function(err, result) {
-        // clear the cache key for this model where cache is active
-        let cacheKeys = null;
-        const redisDb = getRedisInstance(mo.mo.model, options);
-        if (redisDb) {
-          cacheKeys = getCacheKeys(mo.mo.model, null, options, null);
-          if (cacheKeys) {
-            redisDb.del(cacheKeys.rKey, (delErr, delRes) => {
-              if (err) {
-                dbLog(start, 'error', logMessage, null, null, delErr, false);
-              }
-              debug('Result of cache DEL ', delRes);
-            });
-          }
-        }
+      if (strict && rev && rev !== doc[0]._rev)
+        return cb(new ConflictError(model, doc[0]._id, rev, doc[0]._rev));
+      var remove = soft ?
+        self._softDelete.bind(self, model, mo, doc[0], options) :
+        mo.db.insert.bind(mo.db, self.toDeletion(model, mo, doc[0]));
+      remove(function(err, result) {
         debug('CouchDB.prototype.destroy db.destroy %j %j', err, result);
+        if (err && strict && rev && err.statusCode === 409)
+          return self._revisionConflict(model, doc[0]._id, rev, options, cb);
         if (err) return cb(err);
-        cb(err, result && result.ok ? {count: 1} : {count: 0});
+        self._invalidateCache(mo, options, start, logMessage, [doc[0]._id],
+          function() {
+            cb(null, result && result.ok ? {count: 1} : {count: 0});
+          });
       });
     } else {
       return cb(null, {count: 0});
@@ -728,7 +1056,13 @@ CouchDB.prototype.destroy = function destroy(model, id, options, cb) {
 };
 
 /**
- * Delete all instances for the given model
+ * Delete all instances for the given model. The matching documents are
+ * paged by bookmark and deleted with `_bulk_docs`, one request per chunk of
+ * `options.chunkSize` or the datasource `bulkChunkSize` setting. The failed
+ * documents are reported together by a `BulkWriteError`. With the model
+ * setting `couchdb.softDelete` the documents get their tombstone properties
+ * instead, unless `options.hardDelete` deletes them, the soft deleted ones
+ * included.
  *
  * @param {String} model The model name
  * @param {Object} [where] The filter for where
@@ -741,147 +1075,408 @@ CouchDB.prototype.destroyAll = function destroyAll(model, where, options, cb) {
 
   var self = this;
   var dels = 0;
+  var failures = [];
   var mo = self.selectModel(model, options);
 
-  const passedOptions = {raw: true};
-  Object.assign(passedOptions, options);
-  const logMessage = {
-    requestId: options ? (options.req ? options.req.id || null : null) : null,
-    method: 'destroyAll',
-    model: model,
-    db: mo.dbName,
-  };
+  const logMessage = logContext('destroyAll', model, mo, options);
+  // `destroyById` deletes through destroyAll
+  var strict = self.isStrictRevisions(mo);
+  var rev = requestedRevision(null, options);
+  var hard = !!(options && options.hardDelete);
+  var soft = !hard && !!self.getSoftDeleteSettings(mo);
+  var matchOptions = options;
+  // a soft deleted instance is not deleted again, unless for good
+  if (hard || soft) {
+    matchOptions = _.assign({}, options,
+      {withDeleted: hard, onlyDeleted: false});
+  }
 
-  self.all(
-    model,
-    {where: where, limit: self.getLimit()},
-    passedOptions,
-    function(err, docs) {
-      if (err) return cb(err, null);
-      async.each(
-        docs,
-        function(doc, cb2) {
-          mo.db.destroy(doc._id, doc._rev, function(err, result) {
-            // clear the cache key for this model where cache is active
-            let cacheKeys = null;
-            const redisDb = getRedisInstance(mo.mo.model, options);
-            if (redisDb) {
-              cacheKeys = getCacheKeys(mo.mo.model, null, options, null);
-              if (cacheKeys) {
-                redisDb.del(cacheKeys.rKey, (delErr, delRes) => {
-                  if (err) {
-                    dbLog(start, 'error', logMessage, null, null, delErr, false);
-                  }
-                  debug('Result of cache DEL ', delRes);
-                });
-              }
-            }
-            debug('CouchDB.prototype.destroyAll db.destroy %j %j', err, result);
-            if (result && result.ok) dels++;
-            cb2(err);
-          });
-        },
-        function(err) {
-          cb(err, {count: dels});
+  self._checkRevisions(model, mo, where, strict && rev, matchOptions,
+    function(err) {
+      if (err) return cb(err);
+      destroyMatches();
+    });
+
+  function destroyMatches() {
+    self._eachMatchPage(model, mo, where, soft ? null : ['_id', '_rev'],
+      matchOptions, function(docs, next) {
+        var stale = strict && rev && _.find(docs, function(doc) {
+          return doc._rev !== rev;
+        });
+        // changed since the check, the count tells what was deleted
+        if (stale) {
+          var err = new ConflictError(model, stale._id, rev, stale._rev);
+          err.count = dels;
+          return next(err);
         }
-      );
-    }
-  );
+        var deletes = docs.map(function(doc) {
+          if (soft) return self.toTombstone(mo, doc, options);
+          return self.toDeletion(model, mo, doc);
+        });
+        self.bulkDocs(mo, deletes, options, function(err, rows) {
+          debug('CouchDB.prototype.destroyAll bulkDocs %j', err);
+          if (err) return next(err);
+          rows.forEach(function(row) {
+            if (!row.error) return dels++;
+            failures.push({ok: false, id: row.id,
+              error: self.toBulkError(model, row)});
+          });
+          self._invalidateCache(mo, options, start, logMessage,
+            _.map(docs, '_id'), function() {
+              next();
+            });
+        });
+      },
+      function(err) {
+        if (!err && failures.length > 0)
+          err = new BulkWriteError(model, 'destroyAll', failures, dels);
+        if (err) return cb(err);
+        cb(null, {count: dels});
+      });
+  }
 };
 
 /**
- * Recursive function to count the number of instances for the given model with a
- * low limit to preserve memory
+ * Check the revision given with `strictRevisions` to `destroyAll` or
+ * `updateAll` against every document matching the where filter, before the
+ * first write.
  *
- * @param {Object} self The context from the calling function
  * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
  * @param {Object} where The where filter
- * @param {Object} options The options Object
- * @param {Number} offset The offset (incremented on each call)
- * @docCount {Number} The accumulator
+ * @param {String} rev The revision, nothing is checked when not set
+ * @param {Object} options The options object
+ * @callback {Function} cb Called with a `ConflictError` for a stale revision
+ */
+CouchDB.prototype._checkRevisions = function(
+  model,
+  mo,
+  where,
+  rev,
+  options,
+  cb
+) {
+  if (!rev) return process.nextTick(cb);
+  this._eachMatchPage(model, mo, where, ['_id', '_rev'], options,
+    function(docs, next) {
+      var stale = _.find(docs, function(doc) {
+        return doc._rev !== rev;
+      });
+      if (stale) {
+        return next(new ConflictError(model, stale._id, rev, stale._rev));
+      }
+      next();
+    }, cb);
+};
+
+/**
+ * Page through the documents matching the where filter by bookmark, in
+ * pages of the bulk chunk size, for the bulk writes of `destroyAll` and
+ * `updateAll`. Without bookmark (CouchDB 2.0) the query starts over after
+ * each page, since the writes move the documents in and out of the results:
+ * `skip` only passes over the documents already given to the iterator that
+ * still match. A document is given once, even when it moves past the
+ * bookmark of its index.
+ *
+ * @param {String} model The model name
+ * @param {Object} where The where filter
+ * @param {String[]} [fields] The fields to read, the whole documents when
+ * null
+ * @param {Object} options The options object
+ * @param {Function} iterator Called with `(docs, next)` for each page
  * @callback {Function} cb The callback function
  */
-// function accumulateCount(self, model, where, options, offset, docCount, cb) {
-//   let limit = 50000;
-//   self.all(
-//     model,
-//     {couchFields: ['_id'], where: where, limit: limit, offset: offset},
-//     options,
-//     function(err, docs) {
-//       if (err) {
-//         return cb(err);
-//       }
-//       if (docs && docs.length > 0) {
-//         docCount = docCount + docs.length;
-//         docs = [];
-//         offset = offset + limit;
-//         accumulateCount(
-//           self,
-//           model,
-//           where,
-//           options,
-//           offset,
-//           docCount,
-//           (err, result) => {
-//             if (err) {
-//               return cb(err);
-//             }
-//             return cb(null, result);
-//           }
-//         );
-//       } else {
-//         return cb(null, docCount);
-//       }
-//     }
-//   );
-// }
+CouchDB.prototype._eachMatchPage = function(
+  model,
+  mo,
+  where,
+  fields,
+  options,
+  iterator,
+  cb
+) {
+  options = options || {};
+  var query = this.buildFindQuery(model, mo, {
+    where: where,
+    couchFields: fields,
+  }, options);
+  var source = this.selectPartition(mo, where);
+  var pageSize = this.getBulkChunkSize(options);
+  var pageQuery = _.assign({}, query, {limit: pageSize, skip: 0});
+  var seen = {};
+
+  fetchPage();
+
+  function fetchPage() {
+    source.db.find(pageQuery, function(err, rst) {
+      debug('CouchDB.prototype._eachMatchPage results: %j', err);
+      if (err) return cb(err);
+      var docs = (rst && rst.docs) || [];
+      var unseen = _.reject(docs, function(doc) {
+        return seen[doc._id];
+      });
+      var passed = docs.length - unseen.length;
+      unseen.forEach(function(doc) {
+        seen[doc._id] = true;
+      });
+      var iterate = unseen.length > 0 ? iterator.bind(null, unseen) :
+        process.nextTick;
+      iterate(function(err) {
+        if (err) return cb(err);
+        if (docs.length < pageSize) return cb();
+        if (rst.bookmark && rst.bookmark !== 'nil' &&
+          rst.bookmark !== pageQuery.bookmark) {
+          pageQuery.bookmark = rst.bookmark;
+          delete pageQuery.skip;
+        } else {
+          // start over, past the matches already written
+          pageQuery.skip = (pageQuery.skip || 0) + passed;
+          delete pageQuery.bookmark;
+        }
+        fetchPage();
+      });
+    });
+  }
+};
 
 /**
  * Count the number of instances for the given model
  *
+ * An unfiltered count is answered by a `_count` reduce view maintained by the
+ * connector for the model, a filtered count pages through `_find` results so
+ * it is not capped by any query limit.
+ *
  * @param {String} model The model name
- * @callback {Function} cb The callback function
+ * @param {Object} where The filter for where
  * @param {Object} options The options Object
- * @param {Object} filter The filter for where
+ * @callback {Function} cb The callback function
  */
 CouchDB.prototype.count = function count(model, where, options, cb) {
+  const start = process.hrtime();
   debug('CouchDB.prototype.count %j %j %j', model, where, options);
   var self = this;
-  let offset = 0;
+  var mo = self.selectModel(model, options);
+  const logMessage = logContext('count', model, mo, options);
+  logMessage.query = where;
 
-    self.all(
-    model,
-    {couchFields: ['_id'], where: where, limit: 99999, offset: offset},
-    options,
-    function(err, docs) {
-      if (err) {
-        return cb(err);
-      }
-        return cb(null, docs.length);
+  var countHandler = function(err, count) {
+    if (err) {
+      self.dbLog(start, 'error', logMessage, null, null, err, false);
+      return cb(err);
     }
-  );
-  // accumulateCount(self, model, where, options, offset, 0, (err, result) => {
-  //   return cb(err, result);
-  // });
+    self.dbLog(start, 'info', logMessage, count, null, null, true);
+    cb(null, count);
+  };
+
+  // the count view includes the soft deleted documents
+  if (_.isEmpty(where) && !self.getSoftDeleteClause(mo, options)) {
+    var condition = self.buildModelMapCondition(model, mo);
+    if (condition) return self._countByView(model, mo, condition, countHandler);
+  }
+  self._countByFind(model, self.selectPartition(mo, where), where, options,
+    countHandler);
 };
 
 /**
- * Check if a model instance exists by id
+ * Count all instances of a model with the connector-managed `_count` view,
+ * the design doc is created or updated on first use.
  *
  * @param {String} model The model name
- * @param {*} id The id value
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {String} condition The javascript condition matching model documents
+ * @callback {Function} cb The callback function
+ */
+CouchDB.prototype._countByView = function(model, mo, condition, cb) {
+  var ddocName = this.getIndexModelPrefix(mo) + '__' + model + '__' +
+    COUNT_DDOC_SUFFIX;
+  // a global view, design docs are partitioned in a partitioned database
+  var ddoc = {
+    _id: '_design/' + ddocName,
+    language: 'javascript',
+    options: {partitioned: false},
+    views: {},
+  };
+  ddoc.views[COUNT_VIEW_NAME] = {
+    map: 'function(doc) {\n  if (' + condition + ') emit(doc._id, null);\n}',
+    reduce: '_count',
+  };
+
+  this.ensureDesignDoc(mo, ddoc, function(err) {
+    if (err) return cb(err);
+    mo.db.view(ddocName, COUNT_VIEW_NAME, {reduce: true}, function(err, rst) {
+      debug('CouchDB.prototype._countByView results %j %j', err, rst);
+      if (err) return cb(err);
+      cb(null, rst.rows.length > 0 ? rst.rows[0].value : 0);
+    });
+  });
+};
+
+/**
+ * Count the instances matching a where filter by paging through `_find`
+ * results, only the document ids are fetched.
+ *
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} where The where filter
  * @param {Object} options The options Object
  * @callback {Function} cb The callback function
  */
+CouchDB.prototype._countByFind = function(model, mo, where, options, cb) {
+  var count = 0;
+  var query = {
+    selector: this.buildSelector(model, mo, where, options),
+    fields: ['_id'],
+  };
+  /* eslint-disable camelcase */
+  if (options && options.use_index) query.use_index = options.use_index;
+  /* eslint-enable camelcase */
+
+  this._eachPage(mo, query, COUNT_PAGE_SIZE, function(docs, next) {
+    count += docs.length;
+    next();
+  }, function(err) {
+    if (err) return cb(err);
+    cb(null, count);
+  });
+};
+
+/**
+ * The equality conditions of the model selector, by property path. Returns
+ * null when the model selector can not be expressed as plain equality
+ * checks.
+ *
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @returns {Object} The values, e.g. `{loopback__model__name: 'User'}`
+ */
+CouchDB.prototype.getModelEqualities = function(model, mo) {
+  var selector = mo.modelSelector;
+  if (selector === null) {
+    selector = {};
+    selector[mo.modelView] = model;
+  }
+  var equalities = {};
+  for (var key in selector) {
+    var value = selector[key];
+    if (value !== null && typeof value === 'object') {
+      if (Object.keys(value).length !== 1 || !value.hasOwnProperty('$eq'))
+        return null;
+      value = value.$eq;
+    }
+    if (value !== null && typeof value === 'object') return null;
+    equalities[key] = value;
+  }
+  return equalities;
+};
+
+/**
+ * The deletion of a document, the tombstone keeps the model equalities so
+ * the changes feeds can tell the model of a deleted document
+ *
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} doc The document `{_id, _rev}`
+ * @returns {Object} The document to write
+ */
+CouchDB.prototype.toDeletion = function(model, mo, doc) {
+  var deletion = {_id: doc._id, _rev: doc._rev, _deleted: true};
+  _.forEach(this.getModelEqualities(model, mo), function(value, path) {
+    _.set(deletion, path, value);
+  });
+  return deletion;
+};
+
+/**
+ * Build the javascript condition used by connector-managed map functions
+ * to match the documents of a model. Returns null when the model selector
+ * can not be expressed as plain equality checks.
+ *
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @returns {String} The condition, e.g. `doc["loopback__model__name"] === "User"`
+ */
+CouchDB.prototype.buildModelMapCondition = function(model, mo) {
+  var equalities = this.getModelEqualities(model, mo);
+  if (equalities === null) return null;
+  var conditions = _.map(equalities, function(value, key) {
+    var path = 'doc';
+    var guards = [];
+    key.split('.').forEach(function(field) {
+      if (path !== 'doc') guards.push(path + ' != null');
+      path += '[' + JSON.stringify(field) + ']';
+    });
+    return guards.concat(path + ' === ' + JSON.stringify(value))
+      .join(' && ');
+  });
+  if (conditions.length === 0) return 'true';
+  return conditions.join(' && ');
+};
+
+/**
+ * Check if a model instance exists by id, reading the document once to
+ * check it belongs to the model. Models whose selector is not made of
+ * equality conditions are checked with a query.
+ *
+ * @param {String} model The model name
+ * @param {*} id The id value
+ * @param {Object} options The options Object
+ * @callback {Function} cb Called with 1 if the instance exists, 0 otherwise
+ */
 CouchDB.prototype.exists = function(model, id, options, cb) {
+  if (typeof options === 'function' && !cb) {
+    cb = options;
+    options = {};
+  }
+  options = options || {};
   debug('CouchDB.prototype.exists %j %j %j', model, id, options);
+  const start = process.hrtime();
   var self = this;
-  var idName = self.idName(model);
-  var where = {};
-  where[idName] = id;
-  self.count(model, where, {}, function(err, cnt) {
-    if (err) return cb(err, 0);
-    cb(null, cnt);
+  var mo = self.selectModel(model, options);
+  const logMessage = logContext('exists', model, mo, options);
+  logMessage.query = id;
+  var docId = String(id);
+
+  self._getModelDoc(model, mo, id, options, function(err, doc) {
+    if (err) {
+      self.dbLog(start, 'error', logMessage, null, docId, err, false);
+      return cb(err, 0);
+    }
+    var count = doc ? 1 : 0;
+    self.dbLog(start, 'info', logMessage, count, docId, null, true);
+    cb(null, count);
+  });
+};
+
+/**
+ * Read the document of a model instance by id with a single `GET`, null
+ * when it does not exist, belongs to another model or is soft deleted.
+ * Models whose selector is not made of equality conditions are checked
+ * with a query.
+ *
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {*} id The id value
+ * @param {Object} options The options object
+ * @callback {Function} cb Called with the document or null
+ */
+CouchDB.prototype._getModelDoc = function(model, mo, id, options, cb) {
+  var self = this;
+  mo.db.get(String(id), function(err, doc) {
+    if (err && err.statusCode === 404) return cb(null, null);
+    if (err) return cb(err);
+    var equalities = self.getModelEqualities(model, mo);
+    if (equalities === null) {
+      var where = {};
+      where[self.idName(model)] = id;
+      return self.count(model, where, options, function(err, count) {
+        if (err) return cb(err);
+        cb(null, count > 0 ? doc : null);
+      });
+    }
+    var isModelDoc = _.every(equalities, function(value, key) {
+      return _.get(doc, key) === value;
+    });
+    cb(null, isModelDoc && self.isVisibleDoc(mo, doc, options) ? doc : null);
   });
 };
 
@@ -903,52 +1498,41 @@ CouchDB.prototype.find = CouchDB.prototype.findById = function(
   debug('CouchDB.prototype.find %j %j %j', model, id, options);
   var self = this;
   var mo = self.selectModel(model, options);
-  mo.db.get(id, function(err, doc) {
-    let diff = process.hrtime(start);
-    let ms = diff[0] * 1e3 + diff[1] * 1e-6;
-    if (err) {
-      dblogger.log({
-        level: 'info',
-        message: {
-          requestId: options ?
-            options.req ?
-              options.req.id || null :
-              null :
-            null,
-          method: 'findById',
-          docId: id,
-          model: model,
-          db: mo.dbName,
-          query: id,
-          success: false,
-          err: err,
-          time: ms,
-        },
+  const logMessage = logContext('findById', model, mo, options);
+  logMessage.query = id;
+  const cache = options && options.raw ? null : self.getCache(mo);
+  const cacheKeys = cache ?
+    getCacheKeys(mo.mo.model, 'findById', options, {id: id}) :
+    null;
+
+  var fetch = function() {
+    mo.db.get(id, function(err, doc) {
+      if (err) self.dbLog(start, 'error', logMessage, null, id, err, false);
+      if (err && err.statusCode === 404) return cb(null, []);
+      if (err) return cb(err);
+      self.dbLog(start, 'info', logMessage, null, id, null, true);
+      if (!self.isVisibleDoc(mo, doc, options)) return cb(null, []);
+      doc = self.fromDB(model, mo, doc);
+      if (!cacheKeys) return cb(null, doc);
+      self._cacheResult(mo, cacheKeys, doc, (err) => {
+        if (err) self.dbLog(start, 'error', logMessage, null, id, err, false);
+        cb(null, doc);
       });
-    }
-    if (err && err.statusCode === 404) return cb(null, []);
-    if (err) return cb(err);
-    diff = process.hrtime(start);
-    ms = diff[0] * 1e3 + diff[1] * 1e-6;
-    dblogger.log({
-      level: 'info',
-      message: {
-        requestId: options ?
-          options.req ?
-            options.req.id || null :
-            null :
-          null,
-        method: 'findById',
-        docId: id,
-        model: model,
-        db: mo.dbName,
-        query: id,
-        success: true,
-        err: null,
-        time: ms,
-      },
     });
-    cb(null, self.fromDB(model, mo, doc));
+  };
+
+  if (!cacheKeys) return fetch();
+
+  logMessage.cacheKey = cacheKeys.rKey;
+  logMessage.cacheField = cacheKeys.rField;
+  cache.get(cacheKeys.rKey, cacheKeys.rField, (err, cached) => {
+    if (err) debug('CACHE ERROR ', err);
+    if (!err && cached) {
+      logMessage.cache = true;
+      self.dbLog(start, 'info', logMessage, null, id, null, true);
+      return cb(null, cached);
+    }
+    fetch();
   });
 };
 
@@ -970,22 +1554,107 @@ CouchDB.prototype.updateAttributes = function(model, id, data, options, cb) {
   );
   var self = this;
   var mo = self.selectModel(model, options);
-  mo.db.get(id, function(err, doc) {
-    if (err) return cb(err);
-    data = self._getPlainJSONData.call(self, model, data);
-    _.mergeWith(doc, data, function(dest, src) {
-      return src;
-    });
-    self.create(model, doc, options, function(err, id, rev) {
+  var strict = self.isStrictRevisions(mo);
+  var rev = requestedRevision(data, options);
+  // a revision checked by strictRevisions must not be retried
+  var retry = strict && rev ? null : self.getRetryOptions(mo, options);
+  var attempt = 0;
+  data = self._getPlainJSONData.call(self, model, data);
+
+  (function write() {
+    mo.db.get(id, function(err, doc) {
       if (err) return cb(err);
-      debug('GD TEST %j %j', id, rev);
-      doc._rev = rev;
-      // API-202 - PATCH should return latest _rev
-      return cb(err, self.fromDB(model, mo, doc));
+      if (!self.isVisibleDoc(mo, doc, options))
+        return cb(self.softDeletedError(model, doc._id));
+      if (strict && rev && rev !== doc._rev)
+        return cb(new ConflictError(model, doc._id, rev, doc._rev));
+      doc = applyPatch(retry, doc, data);
+      self.create(model, doc, options, function(err, id, rev) {
+        if (err && err.statusCode === 409 && retry &&
+          attempt < retry.retries) {
+          attempt++;
+          debug('CouchDB.prototype.updateAttributes retry %s %d', doc._id,
+            attempt);
+          return setTimeout(write, retryDelay(retry, attempt));
+        }
+        if (err && strict && err.statusCode === 409)
+          return self._revisionConflict(model, doc._id, doc._rev, options, cb);
+        if (err) return cb(err);
+        debug('GD TEST %j %j', id, rev);
+        doc._rev = rev;
+        // API-202 - PATCH should return latest _rev
+        return cb(err, self.fromDB(model, mo, doc));
+      });
     });
-  });
+  })();
+};
+
+/**
+ * The conflict retry settings of an update, from the option
+ * `retryOnConflict` or else the model setting `couchdb.retryOnConflict`:
+ * `true` or `{retries, backoff, merge}`.
+ *
+ * - `retries`: the number of retries, defaults to 3
+ * - `backoff`: the delay in ms before the first retry, doubled for each
+ *   retry, or a function of the attempt returning the delay, defaults to 100
+ * - `merge`: `function(current, patch)` returning the document to write,
+ *   defaults to overwriting the current properties with the patch
+ *
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} options The options object
+ * @returns {Object} The retry settings or null if disabled
+ */
+CouchDB.prototype.getRetryOptions = function(mo, options) {
+  var dbSettings = this.getModelObjectSettings(mo.mo);
+  var retry = options && options.retryOnConflict !== undefined ?
+    options.retryOnConflict :
+    dbSettings && dbSettings.retryOnConflict;
+  if (!retry) return null;
+  if (retry === true) retry = {};
+  return {
+    retries: retry.retries === undefined ? DEFAULT_RETRIES : retry.retries,
+    backoff: retry.backoff === undefined ? DEFAULT_BACKOFF : retry.backoff,
+    merge: retry.merge || null,
+  };
 };
 
+/**
+ * The delay before a conflict retry
+ *
+ * @param {Object} retry The retry settings
+ * @param {Number} attempt The retry number, from 1
+ * @returns {Number} The delay in ms
+ */
+function retryDelay(retry, attempt) {
+  if (typeof retry.backoff === 'function') return retry.backoff(attempt);
+  return retry.backoff * Math.pow(2, attempt - 1);
+}
+
+/**
+ * Apply the update data to the current document. When conflicts are retried
+ * the document keeps its current revision, and a custom `merge` function
+ * resolves the update.
+ *
+ * @param {Object} retry The retry settings, null if disabled
+ * @param {Object} doc The current document
+ * @param {Object} data The update data
+ * @returns {Object} The document to write
+ */
+function applyPatch(retry, doc, data) {
+  if (retry && retry.merge) {
+    var merged = retry.merge(_.cloneDeep(doc), data);
+    merged._id = doc._id;
+    merged._rev = doc._rev;
+    return merged;
+  }
+  var rev = doc._rev;
+  _.mergeWith(doc, data, function(dest, src) {
+    return src;
+  });
+  if (retry) doc._rev = rev;
+  return doc;
+}
+
 /**
  * Update if the model instance exists with the same id or create a
  * new instance
@@ -1012,8 +1681,10 @@ CouchDB.prototype.updateOrCreate = function(model, data, options, cb) {
   };
 
   if (id) {
-    self.updateAttributes(model, id, data, {}, function(err, docs) {
-      if (err && err.statusCode !== 404) return cb(err);
+    self.updateAttributes(model, id, data, options, function(err, docs) {
+      // the id of a soft deleted instance is not reused
+      if (err && (err.statusCode !== 404 || err.code === 'SOFT_DELETED'))
+        return cb(err);
       else if (err && err.statusCode === 404) {
         self.create(model, data, options, createHandler);
       } else {
@@ -1026,7 +1697,11 @@ CouchDB.prototype.updateOrCreate = function(model, data, options, cb) {
 };
 
 /**
- * Update all matching instances
+ * Update all matching instances. The matching documents are paged by
+ * bookmark and written with `_bulk_docs`, one request per chunk of
+ * `options.chunkSize` or the datasource `bulkChunkSize` setting. The failed
+ * documents are reported together by a `BulkWriteError`.
+ *
  * @param {String} model The model name
  * @param {Object} where The search criteria
  * @param {Object} data The property/value pairs to be updated
@@ -1047,61 +1722,91 @@ CouchDB.prototype.update = CouchDB.prototype.updateAll = function(
   var mo = self.selectModel(model, options);
   const passedOptions = {raw: true};
   Object.assign(passedOptions, options);
-  const logMessage = {
-    requestId: options ? (options.req ? options.req.id || null : null) : null,
-    method: 'update',
-    model: model,
-    db: mo.dbName,
-  };
-  self.all(model, {where: where}, passedOptions, function(err, docs) {
-    if (err) return cb(err, docs);
-    if (docs.length === 0) return cb(null, {count: 0});
-
-    data = self._getPlainJSONData.call(self, model, data);
-    async.each(
-      docs,
-      function(doc, cb) {
-        _.mergeWith(doc, data, function(dest, src) {
-          return src;
-        });
-        return cb();
-      },
-      function(err) {
-        if (err) return cb(err);
-        mo.db.bulk({docs: docs}, function(err, result) {
-          // clear the cache key for this model where cache is active
-          let cacheKeys = null;
-          const redisDb = getRedisInstance(mo.mo.model, options);
-          if (redisDb) {
-            cacheKeys = getCacheKeys(mo.mo.model, null, options, null);
-            if (cacheKeys) {
-              redisDb.del(cacheKeys.rKey, (delErr, delRes) => {
-                if (err) {
-                  dbLog(start, 'error', logMessage, null, null, delErr, false);
-                }
-                debug('Result of cache DEL ', delRes);
-              });
-            }
-          }
-          if (err) return cb(err);
-          var errorArray = _.filter(result, 'error');
-          if (errorArray.length > 0) {
-            err = new Error(
-              g.f(
-                util.format(
-                  'Unable to update 1 or more ' + 'document(s): %s',
-                  util.inspect(result, 2)
-                )
-              )
-            );
-            return cb(err);
-          } else {
-            return cb(err, {count: result.length});
-          }
-        });
+  const logMessage = logContext('update', model, mo, options);
+  var strict = self.isStrictRevisions(mo);
+  var rev = requestedRevision(data, options);
+  var retry = strict && rev ? null : self.getRetryOptions(mo, options);
+  var idName = self.idName(model);
+  var count = 0;
+  var failures = [];
+  data = self._getPlainJSONData.call(self, model, data);
+
+  self._checkRevisions(model, mo, where, strict && rev, options,
+    function(err) {
+      if (err) return cb(err);
+      updateMatches();
+    });
+
+  function updateMatches() {
+    self._eachMatchPage(model, mo, where, null, options, function(docs, next) {
+      var stale = strict && rev && _.find(docs, function(doc) {
+        return doc._rev !== rev;
+      });
+      // changed since the check, the count tells what was updated
+      if (stale) {
+        var err = new ConflictError(model, stale._id, rev, stale._rev);
+        err.count = count;
+        return next(err);
       }
-    );
-  });
+      write(docs, 0, next);
+    }, function(err) {
+      if (!err && failures.length > 0)
+        err = new BulkWriteError(model, 'updateAll', failures, count);
+      if (err) return cb(err);
+      cb(null, {count: count});
+    });
+  }
+
+  // refetch the conflicting documents which still match the filter and
+  // apply the update again
+  function retryConflicts(conflicts, attempt, next) {
+    var ids = {};
+    ids[idName] = {inq: _.map(conflicts, 'id')};
+    var retryWhere = _.isEmpty(where) ? ids : {and: [where, ids]};
+    self.all(model, {where: retryWhere}, passedOptions, function(err, docs) {
+      if (err) return next(err);
+      if (docs.length === 0) return next();
+      write(docs, attempt, next);
+    });
+  }
+
+  function write(docs, attempt, next) {
+    docs = docs.map(function(doc) {
+      return applyPatch(retry, doc, data);
+    });
+    self.bulkDocs(mo, docs, options, function(err, result) {
+      if (err) return next(err);
+      self._invalidateCache(mo, options, start, logMessage,
+        _.map(docs, '_id'), function() {
+          written(docs, attempt, result, next);
+        });
+    });
+  }
+
+  function written(docs, attempt, result, next) {
+    var errorArray = _.filter(result, 'error');
+    count += result.length - errorArray.length;
+    var conflicts = _.filter(errorArray, {error: 'conflict'});
+    if (retry && conflicts.length > 0 &&
+      conflicts.length === errorArray.length && attempt < retry.retries) {
+      debug('CouchDB.prototype.updateAll retry %d conflicts %d',
+        attempt + 1, conflicts.length);
+      return setTimeout(function() {
+        retryConflicts(conflicts, attempt + 1, next);
+      }, retryDelay(retry, attempt + 1));
+    }
+    var conflict = strict && _.find(errorArray, {error: 'conflict'});
+    if (conflict) {
+      var doc = _.find(docs, {_id: conflict.id});
+      return self._revisionConflict(model, conflict.id, doc._rev, options,
+        next);
+    }
+    errorArray.forEach(function(row) {
+      failures.push({ok: false, id: row.id,
+        error: self.toBulkError(model, row)});
+    });
+    next();
+  }
 };
 
 /**
@@ -1120,6 +1825,12 @@ CouchDB.prototype.bulkReplace = function(model, dataList, options, cb) {
   var dataToBeUpdated = _.map(dataList, function(data) {
     return self.toDB(model, mo, data);
   });
+  if (mo.partitionKey) {
+    for (var i = 0; i < dataToBeUpdated.length; i++) {
+      var err = self.checkPartitionId(mo, model, dataToBeUpdated[i]);
+      if (err) return process.nextTick(cb, err);
+    }
+  }
 
   mo.db.bulk({docs: dataToBeUpdated}, function(err, result) {
     if (err) return cb(err);
@@ -1178,7 +1889,12 @@ CouchDB.prototype.replaceOrCreate = function(model, data, options, cb) {
     });
   };
 
-  self.exists(model, id, {}, function(err, count) {
+  self._checkNotSoftDeleted(model, mo, id, options, function(err) {
+    if (err) return cb(err);
+    self.exists(model, id, options, replaceOrCreate);
+  });
+
+  function replaceOrCreate(err, count) {
     if (err) return cb(err);
     else if (count > 0) {
       self._insert(model, data, options, function(err) {
@@ -1191,7 +1907,7 @@ CouchDB.prototype.replaceOrCreate = function(model, data, options, cb) {
     } else {
       self.create(model, data, options, createHandler);
     }
-  });
+  }
 };
 
 /**
@@ -1210,16 +1926,25 @@ CouchDB.prototype.replaceById = function(model, id, data, options, cb) {
   var mo = self.selectModel(model, options);
   var idName = self.idName(model);
   var newData = _.clone(data);
-  newData[idName] = id.toString();
+  var docId = id.toString();
+  newData[idName] = docId;
+  var strict = self.isStrictRevisions(mo);
+  var rev = requestedRevision(data, options);
+  if (strict && rev) newData._rev = rev;
 
   var replaceHandler = function(err, id) {
+    if (err && strict && rev && err.statusCode === 409)
+      return self._revisionConflict(model, docId, rev, options, cb);
     if (err) return cb(err);
     mo.db.get(id, function(err, doc) {
       if (err) return cb(err);
       cb(null, self.fromDB(model, mo, doc));
     });
   };
-  self._insert(model, newData, options, replaceHandler);
+  self._checkNotSoftDeleted(model, mo, docId, options, function(err) {
+    if (err) return cb(err);
+    self._insert(model, newData, options, replaceHandler);
+  });
 };
 
 /**
@@ -1232,6 +1957,7 @@ CouchDB.prototype.selectModel = function(model, options, migrate) {
   var dbName, db, mo;
   var modelView = null;
   var modelSelector = null;
+  var partitionKey = null;
   var dateFields = [];
   var s = this.settings;
 
@@ -1259,6 +1985,7 @@ CouchDB.prototype.selectModel = function(model, options, migrate) {
     } else {
       modelView = dbSettings.modelIndex;
     }
+    partitionKey = dbSettings.partitionKey || null;
   }
   if (!dbName) dbName = s.database || s.db || 'test';
 
@@ -1288,6 +2015,7 @@ CouchDB.prototype.selectModel = function(model, options, migrate) {
     modelSelector: modelSelector,
     dateFields: dateFields,
     dbName: dbName,
+    partitionKey: partitionKey,
   };
 
   // nano doesn't have api 'find' while nodejs-cloudant has
@@ -1296,6 +2024,10 @@ CouchDB.prototype.selectModel = function(model, options, migrate) {
       self._find(dbName, query, cb);
     };
   }
+  // the database is created on first use
+  if (this.settings.createDatabase) {
+    this.pool[model].db = this.ensuredDb(this.pool[model]);
+  }
   return this.pool[model];
 };
 
@@ -1400,6 +2132,11 @@ CouchDB.prototype._buildQuery = function(model, idName, query, where, options) {
       delete query[k];
       return;
     }
+    // full text search over a Mango text index, unless it is a property
+    if (k === 'search' && !mo.mo.properties.search) {
+      query.$text = cond;
+      return;
+    }
     if (k === idName) {
       k = '_id';
       cond =
@@ -1626,9 +2363,14 @@ CouchDB.prototype._findRecursive = function(
 ) {
   var self = this;
   if (mo.explain) {
+    var explainPath = mo.partition ?
+      '_partition/' + encodeURIComponent(mo.partition) + '/_explain' :
+      '_explain';
     self.couchdb.relax(
-      {db: mo.dbName, method: 'post', path: '_explain', body: query},
+      {db: mo.dbName, method: 'post', path: explainPath, body: query},
       (err, rst) => {
+        if (err) return debug('CouchDB.prototype._findRecursive explain %j',
+          err);
         indexExplain(
           'Explain: %j: %j: %j: %j',
           mo.mo.model.modelName,
@@ -1641,48 +2383,17 @@ CouchDB.prototype._findRecursive = function(
   }
   mo.db.find(query, function(err, rst) {
     debug('CouchDB.prototype.all (findRecursive) results: %j', err);
+    var modelName = mo.mo.model.modelName;
+    var logMessage = logContext('findRecursive', modelName, mo, options);
+    logMessage.query = query;
     if (err) {
-      dblogger.log({
-        level: 'info',
-        message: {
-          requestId: options ?
-            options.req ?
-              options.req.id || null :
-              null :
-            null,
-          method: 'findRecursive',
-          docId: null,
-          model: mo.modelName,
-          db: mo.dbName,
-          success: true,
-          err: null,
-          query: query,
-          time: null,
-        },
-      });
+      self.dbLog(null, 'error', logMessage, null, null, err, false);
       return cb(err);
     }
     if (rst && rst.warning) {
-      dblogger.log({
-        level: 'info',
-        message: {
-          requestId: options ?
-            options.req ?
-              options.req.id || null :
-              null :
-            null,
-          method: 'findRecursive',
-          docId: null,
-          model: mo.modelName,
-          db: mo.dbName,
-          success: true,
-          err: null,
-          indexWarning: rst ? rst.warning || null : null,
-          query: query,
-          time: null,
-        },
-      });
-      indexWarning('%j: %j: %j', rst ? rst.warning || null : null, mo.modelName, query);
+      logMessage.indexWarning = rst.warning;
+      self.dbLog(null, 'info', logMessage, null, null, null, true);
+      indexWarning('%j: %j: %j', rst.warning, modelName, query);
     }
 
     // only sort numeric id if the id type is of Number
@@ -1749,6 +2460,48 @@ CouchDB.prototype._extendDocs = function(
   }
 };
 
+/**
+ * Page through the results of a `_find` query, using the returned bookmark
+ * when the server provides one and `skip` past the rows read so far
+ * otherwise.
+ *
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} query The `_find` query
+ * @param {Number} pageSize The number of documents fetched per request
+ * @param {Function} iterator Called with `(docs, next)` for each page
+ * @callback {Function} cb The callback function
+ */
+CouchDB.prototype._eachPage = function(mo, query, pageSize, iterator, cb) {
+  var pageQuery = _.assign({}, query, {limit: pageSize});
+  var skip = query.skip || 0;
+
+  fetchPage();
+
+  function fetchPage() {
+    mo.db.find(pageQuery, function(err, rst) {
+      debug('CouchDB.prototype._eachPage results: %j', err);
+      if (err) return cb(err);
+      var docs = (rst && rst.docs) || [];
+      iterator(docs, function(err) {
+        if (err) return cb(err);
+        if (docs.length < pageSize) return cb();
+        // the rows consumed, the bookmark pages included, for a fallback
+        // to `skip`
+        skip += docs.length;
+        if (rst.bookmark && rst.bookmark !== 'nil' &&
+          rst.bookmark !== pageQuery.bookmark) {
+          pageQuery.bookmark = rst.bookmark;
+          delete pageQuery.skip;
+        } else {
+          pageQuery.skip = skip;
+          delete pageQuery.bookmark;
+        }
+        fetchPage();
+      });
+    });
+  }
+};
+
 /**
  * Sort ids in numerical order
  *
@@ -1868,8 +2621,24 @@ CouchDB.prototype.getGlobalLimit = function() {
   return this.settings.globalLimit;
 };
 // mixins
-// require('./discovery')(CouchDB);
+require('./discovery')(CouchDB);
 require('./view')(CouchDB);
 require('./migrate')(CouchDB);
+require('./attachment')(CouchDB);
+require('./changes')(CouchDB);
+require('./stream')(CouchDB);
+require('./partition')(CouchDB);
+require('./search')(CouchDB);
+require('./aggregate')(CouchDB);
+require('./validate')(CouchDB);
+require('./replication')(CouchDB);
+require('./database')(CouchDB);
+require('./bulk')(CouchDB);
+require('./softdelete')(CouchDB);
+// after the mixins, wraps their methods too
+require('./promise')(CouchDB);
 
 exports.CouchDB = CouchDB;
+exports.ConflictError = ConflictError;
+exports.ValidationError = ValidationError;
+exports.BulkWriteError = BulkWriteError;
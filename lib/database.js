@@ -0,0 +1,213 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * The database methods of the driver waiting for the database creation
+ */
+const DB_METHODS = [
+  'bulk',
+  'destroy',
+  'fetch',
+  'find',
+  'get',
+  'head',
+  'insert',
+  'list',
+  'search',
+  'view',
+];
+
+/**
+ * The database creation options of the `createDatabase` setting
+ */
+const CREATE_OPTIONS = ['q', 'n', 'partitioned'];
+
+module.exports = mixinDatabase;
+
+function mixinDatabase(CouchDB) {
+  var debug = require('debug')('loopback:connector:couchdb2:database');
+
+  /**
+   * Create a database
+   *
+   * @param {String} dbName The database name
+   * @param {Object} [options] The creation options
+   * - `q`: the number of shards
+   * - `n`: the number of replicas
+   * - `partitioned`: true for a partitioned database
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.createDatabase = function(dbName, options, cb) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    debug('CouchDB.prototype.createDatabase %s %j', dbName, options);
+    var self = this;
+    var requestObject = {db: dbName, method: 'put'};
+    var qs = _.pickBy(_.pick(options || {}, CREATE_OPTIONS), function(value) {
+      return value !== undefined && value !== null;
+    });
+    if (!_.isEmpty(qs)) requestObject.qs = qs;
+
+    self.getDriverInst().request(requestObject, function(err, result) {
+      if (err) return cb(err);
+      self._databases = self._databases || {};
+      self._databases[dbName] = true;
+      cb(null, result);
+    });
+  };
+
+  /**
+   * Drop a database with its documents
+   *
+   * @param {String} dbName The database name
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.dropDatabase = function(dbName, cb) {
+    debug('CouchDB.prototype.dropDatabase %s', dbName);
+    var self = this;
+    self.getDriverInst().db.destroy(dbName, function(err, result) {
+      if (err) return cb(err);
+      if (self._databases) delete self._databases[dbName];
+      // the design docs are gone with the database
+      self._designDocs = _.omitBy(self._designDocs, function(value, key) {
+        return key.indexOf(dbName + '/') === 0;
+      });
+      cb(null, result);
+    });
+  };
+
+  /**
+   * List the databases of the server, without the system databases
+   *
+   * @callback {Function} cb Called with the database names
+   */
+  CouchDB.prototype.listDatabases = function(cb) {
+    debug('CouchDB.prototype.listDatabases');
+    this.getDriverInst().request({path: '_all_dbs'}, function(err, dbNames) {
+      if (err) return cb(err);
+      cb(null, dbNames.filter(function(dbName) {
+        return dbName.indexOf('_') !== 0;
+      }));
+    });
+  };
+
+  /**
+   * Make sure a database exists, creating it when missing. The check runs
+   * once per database and connector instance.
+   *
+   * @param {String} dbName The database name
+   * @param {Object} [options] The creation options, see `createDatabase`
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.ensureDatabase = function(dbName, options, cb) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    var self = this;
+    self._databases = self._databases || {};
+    if (self._databases[dbName]) return process.nextTick(cb);
+    debug('CouchDB.prototype.ensureDatabase %s', dbName);
+
+    self.getDriverInst().db.get(dbName, function(err) {
+      if (!err) {
+        self._databases[dbName] = true;
+        return cb();
+      }
+      if (err.statusCode !== 404) return cb(err);
+      self.createDatabase(dbName, options, function(err) {
+        // another process created the database in the meantime
+        if (err && err.statusCode !== 412) return cb(err);
+        self._databases[dbName] = true;
+        cb();
+      });
+    });
+  };
+
+  /**
+   * Make sure the database of a model exists when the `createDatabase`
+   * setting is on, called by `automigrate`, `autoupdate` and the requests
+   * to the model database
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.ensureModelDatabase = function(mo, cb) {
+    if (!this.settings.createDatabase) return process.nextTick(cb);
+    this.ensureDatabase(mo.dbName, this.getCreateDatabaseOptions(mo), cb);
+  };
+
+  /**
+   * Send a request of the driver to the database of a model, once the
+   * database exists when the `createDatabase` setting is on, for the
+   * endpoints the methods of `ensuredDb` do not cover
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} requestObject The request, `db` defaults to the model
+   * database
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.requestModelDb = function(mo, requestObject, cb) {
+    var self = this;
+    self.ensureModelDatabase(mo, function(err) {
+      if (err) return cb(err);
+      self.getDriverInst().request(_.assign({db: mo.dbName}, requestObject),
+        cb);
+    });
+  };
+
+  /**
+   * The creation options of the databases from the `createDatabase`
+   * setting, `true` or `{q, n, partitioned}`. The database of a model with
+   * a `partitionKey` is partitioned.
+   *
+   * @param {Object} [mo] The model object generated by selectModel()
+   * @returns {Object} The creation options
+   */
+  CouchDB.prototype.getCreateDatabaseOptions = function(mo) {
+    var setting = this.settings.createDatabase;
+    var options = _.pick(typeof setting === 'object' ? setting : {},
+      CREATE_OPTIONS);
+    if (mo && mo.partitionKey) options.partitioned = true;
+    return options;
+  };
+
+  /**
+   * Wrap the database of a model so the first call of its methods creates
+   * the database when missing, used with the `createDatabase` setting
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @returns {Object} The database
+   */
+  CouchDB.prototype.ensuredDb = function(mo) {
+    var self = this;
+    var base = mo.db;
+    var dbName = mo.dbName;
+    var options = self.getCreateDatabaseOptions(mo);
+    var db = Object.create(base);
+    DB_METHODS.forEach(function(name) {
+      if (typeof base[name] !== 'function') return;
+      db[name] = function() {
+        var args = Array.prototype.slice.call(arguments);
+        var cb = args[args.length - 1];
+        var ensured = self._databases && self._databases[dbName];
+        if (ensured || typeof cb !== 'function') {
+          return base[name].apply(base, args);
+        }
+        self.ensureDatabase(dbName, options, function(err) {
+          if (err) return cb(err);
+          base[name].apply(base, args);
+        });
+      };
+    });
+    return db;
+  };
+}
@@ -5,50 +5,290 @@
 
 'use strict';
 
+var _ = require('lodash');
+
+const DEFAULT_SAMPLE_SIZE = 100;
+const SCAN_PAGE_SIZE = 1000;
+const DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const SKIPPED_FIELDS = ['_id', '_rev', '_attachments', '_conflicts',
+  '_deleted', '_deleted_conflicts', '_local_seq', '_revs_info'];
+
 module.exports = mixinDiscovery;
 
 function mixinDiscovery(CouchDB2) {
   var debug = require('debug')('loopback:connector:couchdb2:discovery');
 
   /**
-   * Discover model definitions
+   * Discover the models stored in a database: the documents are grouped by
+   * the value of the discriminator property, documents without it form a
+   * model named after the database.
    *
    * @param {Object} options Options for discovery
-   * @param {Function} [cb] The callback function
+   * - `owner`/`schema`/`database`: the database, defaults to the datasource
+   * database
+   * - `discriminator`: the property naming the model of a document, defaults
+   * to the datasource `modelIndex` or 'loopback__model__name'
+   * - `limit`/`offset`: page through the models
+   * @param {Function} [cb] Called with `(err, [{type, name, owner, count}])`
    */
   CouchDB2.prototype.discoverModelDefinitions = function(options, cb) {
     debug('CouchDB2.prototype.discoverModelDefinitions %j', options);
 
     if (!cb && typeof options === 'function') {
       cb = options;
+      options = {};
     }
+    options = options || {};
+    var source = this.discoverySource(options);
+    var discriminator = this.getDiscriminator(options);
+    var counts = {};
+    var query = {selector: {_id: {$gt: null}}, fields: ['_id', discriminator]};
 
-    this.db.list(function(err, dbs) {
-      debug('CouchDB2.prototype.discoverModelDefinitions %j %j', err, dbs);
-      if (err) cb(err);
-      cb(null, dbs);
+    this._eachPage(source, query, SCAN_PAGE_SIZE, function(docs, next) {
+      docs.forEach(function(doc) {
+        if (doc._id.indexOf('_design/') === 0) return;
+        var name = getModelName(doc, discriminator, source.dbName);
+        counts[name] = (counts[name] || 0) + 1;
+      });
+      next();
+    }, function(err) {
+      debug('CouchDB2.prototype.discoverModelDefinitions %j %j', err, counts);
+      if (err) return cb(err);
+      var models = Object.keys(counts).sort().map(function(name) {
+        return {
+          type: 'table',
+          name: name,
+          owner: source.dbName,
+          count: counts[name],
+        };
+      });
+      var offset = options.offset || 0;
+      var end = options.limit ? offset + options.limit : undefined;
+      cb(null, models.slice(offset, end));
     });
   };
 
   /**
-   * @param {string} dbname The database name
-   * @param {Object} options The options for discovery
-   * @param {Function} [cb] The callback function
+   * Infer the LoopBack model definition of a discovered model from a sample
+   * of its documents. Property types are inferred from the values, nested
+   * objects become anonymous models and ISO 8601 strings dates. Properties
+   * set in every sampled document are required. The json indexes of the
+   * database on the model properties are reported as model indexes.
+   *
+   * @param {String} modelName The model name as discovered
+   * @param {Object} options The options for discovery, see
+   * `discoverModelDefinitions`, and `sampleSize` the number of sampled
+   * documents, default 100
+   * @param {Function} [cb] Called with the schemas by `database.model`
    */
-  CouchDB2.prototype.discoverSchemas = function(dbname, options, cb) {
-    debug('CouchDB2.prototype.discoverSchemas %j %j', dbname, options);
-    var schema = {
-      name: dbname,
-      options: {
-        idInjection: true,
-        dbName: dbname,
-      },
-      properties: {},
+  CouchDB2.prototype.discoverSchemas = function(modelName, options, cb) {
+    debug('CouchDB2.prototype.discoverSchemas %j %j', modelName, options);
+
+    if (!cb && typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    var self = this;
+    var source = self.discoverySource(options);
+    var discriminator = self.getDiscriminator(options);
+    var settings = {database: source.dbName};
+    var selector = {};
+    if (modelName === source.dbName) {
+      // the documents without discriminator
+      selector[discriminator] = {$exists: false};
+      settings.modelSelector = _.cloneDeep(selector);
+    } else {
+      selector[discriminator] = modelName;
+      if (discriminator !== self.defaultModelView()) {
+        settings.modelIndex = discriminator;
+      }
+    }
+    var query = {
+      selector: selector,
+      limit: options.sampleSize || DEFAULT_SAMPLE_SIZE,
     };
-    options.visited = options.visited || {};
-    if (!options.visited.hasOwnProperty(dbname)) {
-      options.visited[dbname] = schema;
+
+    source.db.find(query, function(err, rst) {
+      if (err) return cb(err);
+      var docs = (rst.docs || []).filter(function(doc) {
+        return doc._id.indexOf('_design/') !== 0;
+      });
+      var stats = newStats();
+      docs.forEach(function(doc) {
+        addObject(stats, _.omit(doc, SKIPPED_FIELDS.concat(discriminator)));
+      });
+      var properties = {id: {type: idType(docs), id: true, required: true}};
+      _.assign(properties, toProperties(stats));
+      if (docs.length > 0) properties._rev = {type: 'String'};
+
+      self.getIndexes(source.dbName, function(err, result) {
+        if (err) return cb(err);
+        var schema = {
+          name: modelName,
+          options: {idInjection: false, couchdb: settings},
+          properties: properties,
+        };
+        var indexes = discoverIndexes(self, modelName, properties,
+          discriminator, result.indexes || []);
+        if (!_.isEmpty(indexes)) schema.indexes = indexes;
+
+        options.visited = options.visited || {};
+        var key = source.dbName + '.' + modelName;
+        if (!options.visited.hasOwnProperty(key)) {
+          options.visited[key] = schema;
+        }
+        cb(null, options.visited);
+      });
+    });
+  };
+
+  /**
+   * The database discovered, as a model object usable with `_eachPage`
+   *
+   * @param {Object} options The options for discovery
+   * @returns {Object} `{db, dbName}`
+   */
+  CouchDB2.prototype.discoverySource = function(options) {
+    var self = this;
+    var dbName = options.database || options.owner || options.schema ||
+      self.getDbName(self);
+    var db = self.getDriverInst().use(dbName);
+    if (!db.find) {
+      db = Object.create(db);
+      db.find = function(query, cb) {
+        self._find(dbName, query, cb);
+      };
     }
-    if (cb) cb(null, options.visited);
+    return {db: db, dbName: dbName};
+  };
+
+  /**
+   * The property naming the model of a document
+   *
+   * @param {Object} options The options for discovery
+   * @returns {String} The property name
+   */
+  CouchDB2.prototype.getDiscriminator = function(options) {
+    return options.discriminator || this.settings.modelIndex ||
+      this.defaultModelView();
   };
 };
+
+function getModelName(doc, discriminator, dbName) {
+  var name = doc[discriminator];
+  if (name === undefined || name === null) return dbName;
+  return String(name);
+}
+
+function newStats() {
+  return {count: 0, fields: {}};
+}
+
+/**
+ * Record the properties of a sampled object
+ *
+ * @param {Object} stats The stats of the sampled objects
+ * @param {Object} obj The sampled object
+ */
+function addObject(stats, obj) {
+  stats.count++;
+  Object.keys(obj).forEach(function(key) {
+    var value = obj[key];
+    if (value === null || value === undefined) return;
+    var field = stats.fields[key] = stats.fields[key] || {count: 0, types: {}};
+    field.count++;
+    addValue(field, value);
+  });
+}
+
+function addValue(field, value) {
+  var type = typeOf(value);
+  field.types[type] = true;
+  if (type === 'Object') {
+    addObject(field.object = field.object || newStats(), value);
+  } else if (type === 'Array') {
+    value.forEach(function(item) {
+      if (item === null || item === undefined) return;
+      addValue(field.items = field.items || {types: {}}, item);
+    });
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'Array';
+  switch (typeof value) {
+    case 'string':
+      return DATE_PATTERN.test(value) ? 'Date' : 'String';
+    case 'number':
+      return 'Number';
+    case 'boolean':
+      return 'Boolean';
+    case 'object':
+      return 'Object';
+    default:
+      return 'Any';
+  }
+}
+
+function toProperties(stats) {
+  return _.mapValues(stats.fields, function(field) {
+    var property = {type: toType(field)};
+    if (field.count === stats.count) property.required = true;
+    return property;
+  });
+}
+
+/**
+ * The LoopBack type of a sampled field, 'Any' when the samples disagree
+ */
+function toType(field) {
+  var types = Object.keys(field.types);
+  // dates are strings too
+  if (types.length === 2 && field.types.Date && field.types.String) {
+    types = ['String'];
+  }
+  if (types.length !== 1) return 'Any';
+  if (types[0] === 'Object') return toProperties(field.object);
+  if (types[0] === 'Array') return [field.items ? toType(field.items) : 'Any'];
+  return types[0];
+}
+
+function idType(docs) {
+  var numeric = docs.length > 0 && docs.every(function(doc) {
+    return /^\d+$/.test(doc._id);
+  });
+  return numeric ? 'Number' : 'String';
+}
+
+/**
+ * The json indexes of the database on properties of the model, as LoopBack
+ * model indexes. The indexes created by the connector for the model are
+ * reported under their name, the other ones when all their fields are
+ * model properties.
+ */
+function discoverIndexes(connector, model, properties, discriminator,
+  indexes) {
+  var prefix = '_design/' + connector.getIndexModelPrefix() + '__';
+  var modelPrefix = prefix + model + '__';
+  var result = {};
+  indexes.forEach(function(index) {
+    if (index.type !== 'json' || !index.ddoc) return;
+    var ownIndex = index.ddoc.indexOf(modelPrefix) === 0;
+    if (!ownIndex && index.ddoc.indexOf(prefix) === 0) return;
+
+    var keys = {};
+    (index.def.fields || []).forEach(function(field) {
+      var name = Object.keys(field)[0];
+      if (name === discriminator) return;
+      keys[name] = field[name] === 'desc' ? -1 : 1;
+    });
+    if (_.isEmpty(keys)) return;
+    var known = Object.keys(keys).every(function(name) {
+      return properties.hasOwnProperty(name.split('.')[0]);
+    });
+    if (ownIndex || known) result[index.name] = {keys: keys};
+  });
+  return result;
+}
@@ -0,0 +1,113 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var _ = require('lodash');
+var g = require('strong-globalize')();
+var util = require('util');
+
+exports.ConflictError = ConflictError;
+exports.ValidationError = ValidationError;
+exports.BulkWriteError = BulkWriteError;
+
+/**
+ * The revision given for a write is not the current revision of the
+ * document, reported as HTTP 409 with the current revision.
+ *
+ * @param {String} model The model name
+ * @param {String} id The document id
+ * @param {String} rev The revision given by the caller
+ * @param {String} currentRevision The current revision, null when the
+ * document no longer exists
+ * @constructor
+ */
+function ConflictError(model, id, rev, currentRevision) {
+  Error.call(this);
+  Error.captureStackTrace(this, ConflictError);
+  this.name = 'ConflictError';
+  this.message = currentRevision ?
+    g.f('Revision %s of %s with id %s is not the current revision %s',
+      rev, model, id, currentRevision) :
+    g.f('Revision %s of %s with id %s no longer exists', rev, model, id);
+  this.statusCode = 409;
+  this.code = 'CONFLICT';
+  this.model = model;
+  this.id = id;
+  this.rev = rev;
+  this.currentRevision = currentRevision || null;
+}
+
+util.inherits(ConflictError, Error);
+
+/**
+ * A write rejected by the `validate_doc_update` function of the model,
+ * reported as HTTP 422 like the LoopBack model validations.
+ *
+ * @param {String} model The model name
+ * @param {Object} codes The failed validation codes by property
+ * @param {Object} messages The messages by property
+ * @constructor
+ */
+function ValidationError(model, codes, messages) {
+  Error.call(this);
+  Error.captureStackTrace(this, ValidationError);
+  messages = messages || {};
+  var details = Object.keys(messages).map(function(name) {
+    return [].concat(messages[name]).map(function(message) {
+      return '`' + name + '` ' + message;
+    }).join('; ');
+  }).join('; ');
+  this.name = 'ValidationError';
+  this.message = g.f('The `%s` instance is not valid. Details: %s.', model,
+    details || '(unknown)');
+  this.statusCode = 422;
+  this.details = {
+    context: model,
+    codes: codes || {},
+    messages: messages,
+  };
+}
+
+util.inherits(ValidationError, Error);
+
+/**
+ * Some documents of a `_bulk_docs` write failed. The results hold one entry
+ * per document, the failures the failed entries with their index, the count
+ * the number of written documents.
+ *
+ * @param {String} model The model name
+ * @param {String} operation The connector method
+ * @param {Object[]} results The results by document, `{ok, id, error}`, only
+ * the failed documents when the count is given
+ * @param {Number} [count] The number of written documents
+ * @constructor
+ */
+function BulkWriteError(model, operation, results, count) {
+  Error.call(this);
+  Error.captureStackTrace(this, BulkWriteError);
+  var failures = [];
+  results.forEach(function(result, index) {
+    if (result && result.error) {
+      failures.push({index: index, id: result.id, error: result.error});
+    }
+  });
+  var statusCodes = _.uniq(failures.map(function(failure) {
+    return failure.error.statusCode || 500;
+  }));
+  var total = count === undefined ? results.length : count + failures.length;
+  this.name = 'BulkWriteError';
+  this.message = g.f('%s of %s failed for %d of %d documents', operation,
+    model, failures.length, total);
+  this.statusCode = statusCodes.length === 1 ? statusCodes[0] : 500;
+  this.code = 'BULK_WRITE_FAILED';
+  this.model = model;
+  this.operation = operation;
+  this.results = results;
+  this.failures = failures;
+  this.count = count === undefined ? _.filter(results, 'ok').length : count;
+}
+
+util.inherits(BulkWriteError, Error);
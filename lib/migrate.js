@@ -10,6 +10,9 @@ var g = require('strong-globalize')();
 var util = require('util');
 var _ = require('lodash');
 
+// the name suffix of the global copies of the indexes of a partitioned model
+const GLOBAL_INDEX_SUFFIX = '__global';
+
 module.exports = mixinMigrate;
 
 function mixinMigrate(CouchDB) {
@@ -39,7 +42,8 @@ function mixinMigrate(CouchDB) {
       }], cb);
     function destroyData(destroyCb) {
       async.eachSeries(existingModels, function(model, cb) {
-        self.destroyAll(model, {}, {}, cb);
+        // the soft deleted instances too
+        self.destroyAll(model, {}, {hardDelete: true}, cb);
       }, function(err) {
         debug('CouchDB.prototype.automigrate destroy all data has error: %j',
           err);
@@ -90,20 +94,46 @@ function mixinMigrate(CouchDB) {
       var indexes = mo.mo.model.definition.indexes();
 
       self.buildModelViewIndex(mo, indexes);
-      self.getModifyIndexes(mo, indexes, isMigrate, function(err, results) {
-        debug('start drop and add indexes %j for model %j', results, model);
+      self.ensureModelDatabase(mo, function(err) {
         if (err) return cb(err);
-        if (typeof results !== 'object')
-          return cb(new Error('results of modified indexes must be an object!'));
-
-        async.series([
-          function dropIndexes(cb) {
-            removeIndexes(results.indexesToDrop, cb);
-          },
-          function addIndexes(cb) {
-            createIndexes(results.indexesToAdd, cb);
-          },
-        ], cb);
+        self.getModifyIndexes(mo, indexes, isMigrate, function(err, results) {
+          debug('start drop and add indexes %j for model %j', results, model);
+          if (err) return cb(err);
+          if (typeof results !== 'object')
+            return cb(new Error('results of modified indexes must be an object!'));
+
+          async.series([
+            function dropIndexes(cb) {
+              removeIndexes(results.indexesToDrop, cb);
+            },
+            function addIndexes(cb) {
+              createIndexes(results.indexesToAdd, cb);
+            },
+            function addSearchIndexes(cb) {
+              self.ensureSearchIndexes(mo, cb);
+            },
+            function addValidation(cb) {
+              self.ensureValidateDocUpdate(mo, cb);
+            },
+            function dropStaleAggregates(cb) {
+              self.cleanupAggregateViews(mo, {all: isMigrate}, cb);
+            },
+            function syncViews(cb) {
+              self.getModifyViews(mo, isMigrate, function(err, results) {
+                debug('start drop and add views %j for model %j', results, model);
+                if (err) return cb(err);
+                async.series([
+                  function dropViews(cb) {
+                    removeViews(results.viewsToDrop, cb);
+                  },
+                  function addViews(cb) {
+                    createViews(results.viewsToAdd, cb);
+                  },
+                ], cb);
+              });
+            },
+          ], cb);
+        });
       });
 
       function createIndexes(indexes, cb) {
@@ -121,13 +151,33 @@ function mixinMigrate(CouchDB) {
         self.addModelViewToIndex(mo.modelView, fields);
         // naming convertion: '_design/LBModel__Foo__LBIndex__foo_index',
         // here the driver api takes in the name without prefix '_design/'
+        // the index belongs to the model database, like the ones it replaces
+        var indexOptions = {db: mo.dbName};
+        if (mo.partitionKey) {
+          indexOptions.partitioned = !_.endsWith(name, GLOBAL_INDEX_SUFFIX);
+        }
         var config = {
           ddocName: self.getIndexModelPrefix(mo) + '__' + model + '__' +
           self.getIndexPropertyPrefix(mo) + '__' + name,
           indexName: name,
           fields: fields,
         };
-        self.createIndex(config.ddocName, config.indexName, config.fields, cb);
+        self.createIndex(config.ddocName, config.indexName, config.fields,
+          indexOptions, cb);
+      }
+
+      function createViews(views, cb) {
+        // {viewName: {_id: '_design/LBModel__Foo__LBView__viewName', ...}}
+        async.eachOf(views, function(ddoc, name, cb) {
+          mo.db.insert(ddoc, cb);
+        }, cb);
+      }
+
+      function removeViews(views, cb) {
+        // {viewName: {ddoc: '_design/LBModel__Foo__LBView__viewName', rev}}
+        async.eachOf(views, function(value, name, cb) {
+          mo.db.destroy(value.ddoc, value.rev, cb);
+        }, cb);
       }
 
       function removeIndexes(indexes, cb) {
@@ -230,9 +280,24 @@ function mixinMigrate(CouchDB) {
  * @param {String} ddocName design doc name with prefix '_design/'
  * @param {String} indexName index name
  * @param {Array} fields example format: [{field1: 'asc'}, {field2: 'asc'}]
+ * @param {Object} [options] The options
+ * - `db`: the database, defaults to the datasource database
+ * - `partitioned`: true for the index of a partitioned model, used by the
+ * `_partition/{p}/_find` queries
  * @callback {Function} cb The callback function
  */
-  CouchDB.prototype.createIndex = function(ddocName, indexName, fields, cb) {
+  CouchDB.prototype.createIndex = function(
+    ddocName,
+    indexName,
+    fields,
+    options,
+    cb
+  ) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
     debug('createIndex: ddocName %s, indexName %s, fields %s', ddocName,
       indexName, fields);
 
@@ -249,8 +314,12 @@ function mixinMigrate(CouchDB) {
       name: indexName,
       type: 'json',
     };
+    if (options.partitioned !== undefined) {
+      indexBody.partitioned = !!options.partitioned;
+    }
 
-    var database = self.settings.dbSwitching ? self.options.db || self.settings.database : self.settings.database;
+    var database = options.db || (self.settings.dbSwitching ?
+      self.options.db || self.settings.database : self.settings.database);
     var requestObject = {
       db: database,
       path: '_index',
@@ -305,6 +374,13 @@ function mixinMigrate(CouchDB) {
 
     newIndexes = _.merge(newIndexes, generateModelLevelIndexes(newModelIndexes));
     newIndexes = _.merge(newIndexes, generatePropertyLevelIndexes(newPropertyIndexes));
+    // `_partition/{p}/_find` only uses partitioned indexes and the queries
+    // across partitions only global ones, a partitioned model has both
+    if (mo.partitionKey) {
+      _.forEach(_.clone(newIndexes), function(fields, name) {
+        newIndexes[name + GLOBAL_INDEX_SUFFIX] = fields;
+      });
+    }
 
     // Call `getModelIndexes` to get existing indexes.
     self.getModelIndexes(modelName, function(err, oldIndexes) {
@@ -422,6 +498,161 @@ function mixinMigrate(CouchDB) {
     return result;
   };
 
+  /**
+ * Return modify view results with: `viewsToDrop`, `viewsToAdd`. The views are
+ * declared in the model setting `couchdb.views`, each in its own design doc:
+ * ```js
+ * "views": {
+ *   "byCustomer": {
+ *     "map": "function(doc) { emit(doc.customerId, doc.total); }",
+ *     "reduce": "_sum"
+ *   }
+ * }
+ * ```
+ * @param {Object} mo the model object returned by this.selectModel(modelName)
+ * @param {Boolean} isMigrate flag to tell do we want to compare new/old views
+ * @callback {Function} cb The callback function
+ * @param {Object} result views to modify in the following format:
+ * ```js
+ *   result: {
+ *     viewsToAdd: {
+ *       byCustomer: {
+ *         _id: '_design/LBModel__Foo__LBView__byCustomer',
+ *         _rev: '1-abc', // when updating an existing view
+ *         language: 'javascript',
+ *         options: {partitioned: false},
+ *         views: {byCustomer: {map: '...', reduce: '_sum'}}
+ *       }
+ *     },
+ *     viewsToDrop: {
+ *       byStatus: {
+ *         ddoc: '_design/LBModel__Foo__LBView__byStatus',
+ *         rev: '1-def'
+ *       }
+ *     }
+ *   }
+ * ```
+ */
+  CouchDB.prototype.getModifyViews = function(mo, isMigrate, cb) {
+    debug('CouchDB.prototype.getModifyViews');
+    var self = this;
+    var newViews;
+    try {
+      newViews = self.buildModelViews(mo);
+    } catch (err) {
+      return process.nextTick(cb, err);
+    }
+    self.getModelViews(mo, function(err, oldViews) {
+      if (err) return cb(err);
+      if (isMigrate) {
+        cb(null, {viewsToAdd: newViews, viewsToDrop: oldViews});
+      } else {
+        cb(null, self.compareViews(newViews, oldViews));
+      }
+    });
+  };
+
+  /**
+ * Build the design docs of the views declared in the model setting
+ * `couchdb.views`, the functions are stored as their source.
+ *
+ * @param {Object} mo the model object returned by this.selectModel(modelName)
+ * @returns {Object} The design docs by view name
+ */
+  CouchDB.prototype.buildModelViews = function(mo) {
+    var self = this;
+    var model = mo.mo.model.modelName;
+    var dbSettings = self.getModelObjectSettings(mo.mo);
+    return _.mapValues(dbSettings && dbSettings.views, function(def, name) {
+      if (!def || !def.map) {
+        throw new Error(g.f('The view %s of the model %s has no {{map}} ' +
+          'function', name, model));
+      }
+      var view = {map: String(def.map)};
+      if (def.reduce) view.reduce = String(def.reduce);
+      var views = {};
+      views[name] = view;
+      // a global view, design docs are partitioned in a partitioned database
+      return {
+        _id: '_design/' + self.getModelViewDocName(mo, model, name),
+        language: 'javascript',
+        options: {partitioned: false},
+        views: views,
+      };
+    });
+  };
+
+  /**
+ * Perform the views comparison for `autoupdate`: new views are added,
+ * changed views are updated in place and the views no longer declared are
+ * dropped.
+ * @param {Object} newViews The design docs built by `buildModelViews`
+ * @param {Object} oldViews The design docs returned by `getModelViews`
+ * @returns {Object} result views to add and drop after comparison
+ * ```js
+ * result: {viewsToAdd: {$someViews}, viewsToDrop: {$someViews}}
+ * ```
+ */
+  CouchDB.prototype.compareViews = function(newViews, oldViews) {
+    debug('CouchDB.prototype.compareViews');
+    var viewsToAdd = {};
+    _.forEach(newViews, function(ddoc, name) {
+      var oldView = oldViews[name];
+      if (!oldView) {
+        viewsToAdd[name] = ddoc;
+      } else if (!_.isEqual(_.omit(ddoc, '_id'), oldView.content)) {
+        viewsToAdd[name] = _.assign({_rev: oldView.rev}, ddoc);
+      }
+    });
+    return {
+      viewsToAdd: viewsToAdd,
+      viewsToDrop: _.omit(oldViews, Object.keys(newViews)),
+    };
+  };
+
+  /**
+ * Get the design docs of the views declared by a model.
+ *
+ * @param {Object} mo the model object returned by this.selectModel(modelName)
+ * @callback {Function} cb The callback function
+ * @param {Object} existingViews The design docs by view name, in format:
+ * ```js
+ * {
+ *   byCustomer: {
+ *     ddoc: '_design/LBModel__Foo__LBView__byCustomer',
+ *     rev: '1-abc',
+ *     content: {language: 'javascript', views: {byCustomer: {map: '...'}}}
+ *   }
+ * }
+ * ```
+ */
+  CouchDB.prototype.getModelViews = function(mo, cb) {
+    var self = this;
+    var model = mo.mo.model.modelName;
+    var prefix = '_design/' + self.getModelViewDocPrefix(mo, model);
+    debug('CouchDB.prototype.getModelViews: %j', prefix);
+    /* eslint-disable camelcase */
+    var requestObject = {
+      path: '_all_docs',
+      method: 'get',
+      qs: {startkey: prefix, endkey: prefix + '\ufff0', include_docs: true},
+    };
+    /* eslint-enable camelcase */
+    self.requestModelDb(mo, requestObject, function(err, result) {
+      if (err) return cb(err);
+      var existingViews = {};
+      (result.rows || []).forEach(function(row) {
+        if (!row.doc) return;
+        existingViews[row.id.slice(prefix.length)] = {
+          ddoc: row.id,
+          rev: row.doc._rev,
+          content: _.omit(row.doc, ['_id', '_rev']),
+        };
+      });
+      cb(null, existingViews);
+    });
+  };
+
   /**
  * Get all indexes of a model.
  *
@@ -0,0 +1,132 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var crypto = require('crypto');
+var _ = require('lodash');
+
+module.exports = mixinPartition;
+
+function mixinPartition(CouchDB) {
+  var debug = require('debug')('loopback:connector:couchdb2:partition');
+
+  /**
+   * Split the id of a document in a partitioned database
+   *
+   * @param {String} id The document id, `partition:key`
+   * @returns {Object} `{partition, key}`, or null if the id has no partition
+   */
+  CouchDB.prototype.parsePartitionId = function(id) {
+    if (typeof id !== 'string') return null;
+    var sep = id.indexOf(':');
+    if (sep <= 0) return null;
+    return {partition: id.substr(0, sep), key: id.substr(sep + 1)};
+  };
+
+  /**
+   * Build the document id of an instance of a partitioned model from the
+   * value of its partition key property. A key is generated when the
+   * instance has no id, an id without partition is prefixed and an id
+   * with a partition is kept, `checkPartitionId` rejects it when it is not
+   * the partition of the instance.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} doc The model document/data
+   * @param {String} [id] The instance id
+   * @returns {String} The `partition:key` id, or the id unchanged when the
+   * partition key property is not set
+   */
+  CouchDB.prototype.buildPartitionId = function(mo, doc, id) {
+    var partition = doc[mo.partitionKey];
+    if (this.parsePartitionId(id) || !isPartitionValue(partition)) return id;
+    if (!id) id = crypto.randomBytes(16).toString('hex');
+    return String(partition) + ':' + id;
+  };
+
+  /**
+   * Check the id of a document of a partitioned model: it must have a
+   * partition, the value of the partition key property when the document
+   * has one, as documents can not change partition.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {String} model The model name
+   * @param {Object} doc The document built by toDB()
+   * @returns {Error} The error, null when the id is valid
+   */
+  CouchDB.prototype.checkPartitionId = function(mo, model, doc) {
+    var parsed = this.parsePartitionId(doc._id);
+    var err;
+    if (!parsed) {
+      err = new Error(g.f('The property %s is required by the partitioned ' +
+        'model %s', mo.partitionKey, model));
+      err.statusCode = 400;
+      err.code = 'PARTITION_REQUIRED';
+      return err;
+    }
+    var partition = doc[mo.partitionKey];
+    if (isPartitionValue(partition) && parsed.partition !== String(partition)) {
+      err = new Error(g.f('The id %s is not in the partition %s of the ' +
+        'property %s of %s', doc._id, partition, mo.partitionKey, model));
+      err.statusCode = 400;
+      err.code = 'PARTITION_MISMATCH';
+      return err;
+    }
+    return null;
+  };
+
+  /**
+   * Return the partition a where filter is restricted to, the partition key
+   * property must be compared for equality at the top level or in an `and`.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} where The where filter
+   * @returns {String} The partition, or null for a global query
+   */
+  CouchDB.prototype.getPartition = function(mo, where) {
+    if (!mo.partitionKey || !where || typeof where !== 'object') return null;
+    var value = where[mo.partitionKey];
+    if (value && typeof value === 'object' && 'eq' in value) value = value.eq;
+    if (isPartitionValue(value)) return String(value);
+    if (!Array.isArray(where.and)) return null;
+    for (var i = 0; i < where.and.length; i++) {
+      var partition = this.getPartition(mo, where.and[i]);
+      if (partition !== null) return partition;
+    }
+    return null;
+  };
+
+  /**
+   * Return a model object whose `db.find` queries the partition the where
+   * filter is restricted to, `mo` itself for a global query.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} where The where filter
+   * @returns {Object} The model object to query with
+   */
+  CouchDB.prototype.selectPartition = function(mo, where) {
+    var partition = this.getPartition(mo, where);
+    if (partition === null) return mo;
+    debug('CouchDB.prototype.selectPartition %s %s', mo.mo.model.modelName,
+      partition);
+
+    var self = this;
+    var db = Object.create(mo.db);
+    db.find = function(query, cb) {
+      self.requestModelDb(mo, {
+        path: '_partition/' + encodeURIComponent(partition) + '/_find',
+        method: 'post',
+        body: query,
+      }, cb);
+    };
+    return _.assign({}, mo, {db: db, partition: partition});
+  };
+}
+
+function isPartitionValue(value) {
+  return (typeof value === 'string' && value !== '') ||
+    typeof value === 'number';
+}
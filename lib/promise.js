@@ -0,0 +1,115 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+/**
+ * The public connector methods taking a callback as last argument. Called
+ * without callback they return a promise instead.
+ */
+const ASYNC_METHODS = [
+  'connect',
+  'ping',
+  'createDatabase',
+  'dropDatabase',
+  'listDatabases',
+  'ensureDatabase',
+  'create',
+  'createAll',
+  'save',
+  'getCurrentRevision',
+  'all',
+  'find',
+  'findPage',
+  'findById',
+  'count',
+  'aggregate',
+  'exists',
+  'destroy',
+  'destroyAll',
+  'restore',
+  'updateAttributes',
+  'updateOrCreate',
+  'update',
+  'updateAll',
+  'replaceOrCreate',
+  'replaceById',
+  'bulkReplace',
+  'bulkDocs',
+  'updateIndex',
+  'automigrate',
+  'autoupdate',
+  'migrateOrUpdateIndex',
+  'createIndex',
+  'getModifyIndexes',
+  'getModelIndexes',
+  'getModifyViews',
+  'getModelViews',
+  'getIndexes',
+  'deleteIndex',
+  'viewDocs',
+  'queryView',
+  'viewModelDocs',
+  'ensureDesignDoc',
+  'search',
+  'ensureSearchIndexes',
+  'ensureValidateDocUpdate',
+  'cleanupAggregateViews',
+  'discoverModelDefinitions',
+  'discoverSchemas',
+  'createReplication',
+  'getReplications',
+  'getReplication',
+  'cancelReplication',
+  'getReplicationJobs',
+  'putAttachment',
+  'destroyAttachment',
+];
+
+/**
+ * The methods whose callback receives several results, their promise
+ * resolves with an array of the results.
+ */
+const MULTI_RESULT_METHODS = ['create', 'updateOrCreate', 'replaceOrCreate'];
+
+module.exports = mixinPromise;
+
+function mixinPromise(CouchDB) {
+  ASYNC_METHODS.forEach(function(name) {
+    CouchDB.prototype[name] = promisify(CouchDB.prototype[name],
+      MULTI_RESULT_METHODS.indexOf(name) !== -1);
+  });
+}
+
+/**
+ * Wrap a method so it returns a promise when the callback is omitted. The
+ * omitted optional arguments before the callback are passed as undefined,
+ * and the wrapper keeps the arity of the method for the juggler checks.
+ *
+ * @param {Function} fn The method
+ * @param {Boolean} multi Whether the callback receives several results
+ * @returns {Function} The wrapped method
+ */
+function promisify(fn, multi) {
+  var arity = fn.length;
+  var wrapper = function() {
+    var args = Array.prototype.slice.call(arguments);
+    if (typeof args[args.length - 1] === 'function') {
+      return fn.apply(this, args);
+    }
+    var self = this;
+    return new Promise(function(resolve, reject) {
+      while (args.length < arity - 1) args.push(undefined);
+      args.push(function(err) {
+        if (err) return reject(err);
+        var results = Array.prototype.slice.call(arguments, 1);
+        resolve(multi ? results : results[0]);
+      });
+      fn.apply(self, args);
+    });
+  };
+  Object.defineProperty(wrapper, 'length', {value: arity});
+  return wrapper;
+}
@@ -0,0 +1,269 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var _ = require('lodash');
+var url = require('url');
+
+const REPLICATOR_DB = '_replicator';
+
+/**
+ * The replication document fields taken from the spec, by spec name
+ */
+const REPLICATION_FIELDS = {
+  continuous: 'continuous',
+  createTarget: 'create_target',
+  docIds: 'doc_ids',
+  filter: 'filter',
+  queryParams: 'query_params',
+  sinceSeq: 'since_seq',
+  userCtx: 'user_ctx',
+};
+
+module.exports = mixinReplication;
+
+function mixinReplication(CouchDB) {
+  var debug = require('debug')('loopback:connector:couchdb2:replication');
+
+  /**
+   * Create a replication, a document of the `_replicator` database run by
+   * the CouchDB replication scheduler. The source and target are database
+   * names of the server of the datasource, or URLs of other servers. With
+   * `model` the replication is limited to the instances of the model
+   * matching `where`, with the Mango selector of the model queries, and
+   * the source defaults to the model database. The deletions of the model
+   * are replicated too, unless `deleted` is false, see `watch`.
+   *
+   * Example:
+   * ```
+   * ds.connector.createReplication({
+   *   model: 'Order',
+   *   where: {status: 'paid'},
+   *   target: 'https://central.example.com/orders',
+   *   continuous: true,
+   * }, function(err, result) {
+   *   // result: {id, rev}
+   * });
+   * ```
+   *
+   * @param {Object} spec The replication
+   * - `id`: the replication document id, generated when omitted
+   * - `source`/`target`: the databases
+   * - `model`/`where`: the instances replicated
+   * - `deleted`: false to leave out the deletions of the model
+   * - `continuous`, `createTarget`, `docIds`, `filter`, `queryParams`,
+   * `sinceSeq`, `userCtx`: the replication options
+   * @param {Object} [options] The options object, `db` of the model with
+   * `dbSwitching`
+   * @callback {Function} cb Called with `{id, rev}`
+   */
+  CouchDB.prototype.createReplication = function(spec, options, cb) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    spec = spec || {};
+    options = options || {};
+    debug('CouchDB.prototype.createReplication %j', spec);
+
+    var doc;
+    try {
+      doc = this.buildReplicationDoc(spec, options);
+    } catch (err) {
+      return process.nextTick(cb, err);
+    }
+    this.getDriverInst().request({
+      db: REPLICATOR_DB,
+      method: 'post',
+      body: doc,
+    }, function(err, result) {
+      debug('CouchDB.prototype.createReplication %j %j', err, result);
+      if (err) return cb(err);
+      cb(null, {id: result.id, rev: result.rev});
+    });
+  };
+
+  /**
+   * Build the `_replicator` document of a replication, see
+   * `createReplication`
+   *
+   * @param {Object} spec The replication
+   * @param {Object} options The options object
+   * @returns {Object} The replication document
+   */
+  CouchDB.prototype.buildReplicationDoc = function(spec, options) {
+    var source = spec.source;
+    var selector;
+    if (spec.model) {
+      if (!this._models[spec.model]) {
+        throw new Error(g.f('The model %s is not attached to the datasource',
+          spec.model));
+      }
+      var mo = this.selectModel(spec.model, options);
+      selector = this.buildSelector(spec.model, mo, spec.where || {},
+        options);
+      // a deletion keeps only the model discriminator, not the properties
+      var equalities = this.getModelEqualities(spec.model, mo);
+      if (spec.deleted !== false && equalities) {
+        selector = {$or: [selector, _.assign({_deleted: true}, equalities)]};
+      }
+      source = source || mo.dbName;
+    }
+    source = source || this.getDbName(this);
+    if (!spec.target) {
+      var err = new Error(g.f('The replication requires a {{target}}'));
+      err.statusCode = 400;
+      err.code = 'INVALID_REPLICATION';
+      throw err;
+    }
+
+    var doc = {
+      source: this.getReplicationEndpoint(source),
+      target: this.getReplicationEndpoint(spec.target),
+    };
+    if (spec.id) doc._id = String(spec.id);
+    if (selector) doc.selector = selector;
+    _.forEach(REPLICATION_FIELDS, function(field, name) {
+      if (spec[name] !== undefined) doc[field] = spec[name];
+    });
+    return doc;
+  };
+
+  /**
+   * The replication endpoint of a database: a database name becomes the
+   * URL of the database on the server of the datasource, the replicator
+   * does not accept local names. The server URL is the `url` setting or
+   * the URL of the driver, with the `username` and `password` settings as
+   * credentials. URLs and `{url, headers}` endpoints are kept.
+   *
+   * @param {String|Object} db The database name, URL or endpoint
+   * @returns {String|Object} The endpoint
+   */
+  CouchDB.prototype.getReplicationEndpoint = function(db) {
+    if (typeof db !== 'string' || /^https?:\/\//.test(db)) return db;
+    var serverUrl = getServerUrl(this);
+    if (!serverUrl) {
+      var err = new Error(g.f('The replication endpoint %s requires the ' +
+        '{{url}} of the server', db));
+      err.statusCode = 400;
+      err.code = 'INVALID_REPLICATION';
+      throw err;
+    }
+    return serverUrl.replace(/\/+$/, '') + '/' + encodeURIComponent(db);
+  };
+
+  /**
+   * List the replications of the `_replicator` database
+   *
+   * @callback {Function} cb Called with the replication documents
+   */
+  CouchDB.prototype.getReplications = function(cb) {
+    debug('CouchDB.prototype.getReplications');
+    /* eslint-disable camelcase */
+    var requestObject = {
+      db: REPLICATOR_DB,
+      path: '_all_docs',
+      method: 'get',
+      qs: {include_docs: true},
+    };
+    /* eslint-enable camelcase */
+    this.getDriverInst().request(requestObject, function(err, result) {
+      if (err) return cb(err);
+      var docs = (result.rows || []).filter(function(row) {
+        return row.doc && row.id.indexOf('_design/') !== 0;
+      }).map(function(row) {
+        return row.doc;
+      });
+      cb(null, docs);
+    });
+  };
+
+  /**
+   * Inspect a replication: its document and its state in the replication
+   * scheduler, from `_scheduler/docs`. The status is null while the
+   * scheduler has not picked the document up.
+   *
+   * @param {String} id The replication document id
+   * @callback {Function} cb Called with `{doc, status}`
+   */
+  CouchDB.prototype.getReplication = function(id, cb) {
+    debug('CouchDB.prototype.getReplication %s', id);
+    var self = this;
+    self.getDriverInst().request({
+      db: REPLICATOR_DB,
+      path: encodeURIComponent(id),
+      method: 'get',
+    }, function(err, doc) {
+      if (err) return cb(err);
+      self.getDriverInst().request({
+        path: '_scheduler/docs/' + REPLICATOR_DB + '/' + encodeURIComponent(id),
+        method: 'get',
+      }, function(err, status) {
+        if (err && err.statusCode !== 404) return cb(err);
+        cb(null, {doc: doc, status: err ? null : status});
+      });
+    });
+  };
+
+  /**
+   * Cancel a replication by deleting its document
+   *
+   * @param {String} id The replication document id
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.cancelReplication = function(id, cb) {
+    debug('CouchDB.prototype.cancelReplication %s', id);
+    var self = this;
+    var path = encodeURIComponent(id);
+    self.getDriverInst().request({
+      db: REPLICATOR_DB,
+      path: path,
+      method: 'get',
+    }, function(err, doc) {
+      if (err) return cb(err);
+      self.getDriverInst().request({
+        db: REPLICATOR_DB,
+        path: path,
+        method: 'delete',
+        qs: {rev: doc._rev},
+      }, cb);
+    });
+  };
+
+  /**
+   * The replication jobs running in the scheduler, from `_scheduler/jobs`
+   *
+   * @callback {Function} cb Called with the jobs
+   */
+  CouchDB.prototype.getReplicationJobs = function(cb) {
+    debug('CouchDB.prototype.getReplicationJobs');
+    this.getDriverInst().request({
+      path: '_scheduler/jobs',
+      method: 'get',
+    }, function(err, result) {
+      if (err) return cb(err);
+      cb(null, result.jobs || []);
+    });
+  };
+}
+
+/**
+ * The URL of the datasource server, null when neither the settings nor the
+ * driver give one
+ */
+function getServerUrl(connector) {
+  var driver = connector.getDriverInst();
+  var serverUrl = connector.options.url ||
+    (driver && driver.config && driver.config.url);
+  if (!serverUrl) return null;
+  var parsed = url.parse(serverUrl);
+  if (!parsed.auth && connector.options.account &&
+    connector.options.password) {
+    parsed.auth = connector.options.account + ':' + connector.options.password;
+  }
+  return url.format(parsed);
+}
@@ -0,0 +1,231 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var _ = require('lodash');
+
+const SEARCH_DDOC_SUFFIX = 'LBSearch';
+const DEFAULT_ANALYZER = 'standard';
+
+/**
+ * The `_search` parameters taken from the options
+ */
+const SEARCH_PARAMS = [
+  'bookmark',
+  'counts',
+  'drilldown',
+  'highlight_fields',
+  'highlight_number',
+  'highlight_post_tag',
+  'highlight_pre_tag',
+  'highlight_size',
+  'include_fields',
+  'limit',
+  'ranges',
+  'sort',
+  'stale',
+  'update',
+];
+
+module.exports = mixinSearch;
+
+function mixinSearch(CouchDB) {
+  var debug = require('debug')('loopback:connector:couchdb2:search');
+
+  /**
+   * Query a search index with a Lucene query. The index defaults to one
+   * declared in the model setting `couchdb.searchIndexes` when `ddoc` is
+   * null. Requires a CouchDB with search enabled (Clouseau).
+   *
+   * Example:
+   * ```
+   * ds.connector.search('Product', null, 'products', 'name:shoe*', {
+   *   limit: 20,
+   *   sort: '-price<number>',
+   *   counts: ['brand'],
+   *   highlight_fields: ['name'],
+   * }, function(err, result) {
+   *   // result: {total, bookmark, data, counts, ranges, highlights}
+   * });
+   * ```
+   *
+   * @param {String} model The model name
+   * @param {String} ddoc The design doc name without '_design/' prefix
+   * @param {String} index The search index name
+   * @param {String} query The Lucene query
+   * @param {Object} [options] The options object, with the `_search`
+   * parameters `bookmark`, `limit`, `sort`, `counts`, `ranges`, `drilldown`,
+   * `highlight_*`, `include_fields`, `stale` and `update`, the `partition`
+   * of a partitioned model and `raw` to skip the `fromDB` conversion
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.search = function(
+    model,
+    ddoc,
+    index,
+    query,
+    options,
+    cb
+  ) {
+    if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+    debug('CouchDB.prototype.search %j %j %j %j', model, ddoc, index, query);
+
+    var self = this;
+    const start = process.hrtime();
+    var mo = self.selectModel(model, options);
+    var idName = self.idName(model);
+    const logMessage = self.logContext('search', model, mo, options);
+    logMessage.query = query;
+
+    ddoc = ddoc || self.getSearchDesignDocName(mo, model);
+    var path = '_design/' + ddoc + '/_search/' + index;
+    if (options.partition) {
+      path = '_partition/' + encodeURIComponent(options.partition) + '/' + path;
+    }
+    /* eslint-disable camelcase */
+    var body = _.assign(_.pick(options, SEARCH_PARAMS), {
+      q: query,
+      include_docs: true,
+    });
+    /* eslint-enable camelcase */
+
+    self.requestModelDb(mo, {
+      path: path,
+      method: 'post',
+      body: body,
+    }, function(err, rst) {
+      debug('CouchDB.prototype.search results %j', err);
+      if (err) {
+        self.dbLog(start, 'error', logMessage, null, null, err, false);
+        return cb(err);
+      }
+      var result = {
+        total: rst.total_rows,
+        bookmark: rst.bookmark,
+        data: [],
+      };
+      (rst.rows || []).forEach(function(row) {
+        if (!row.doc) return;
+        var doc = options.raw ? row.doc : self.fromDB(model, mo, row.doc);
+        result.data.push(doc);
+        if (row.highlights) {
+          result.highlights = result.highlights || {};
+          result.highlights[options.raw ? doc._id : doc[idName]] =
+            row.highlights;
+        }
+      });
+      if (rst.counts) result.counts = rst.counts;
+      if (rst.ranges) result.ranges = rst.ranges;
+      self.dbLog(start, 'info', logMessage, result.data.length, null, null,
+        true);
+      cb(null, result);
+    });
+  };
+
+  /**
+   * The design doc holding the search indexes declared by a model,
+   * e.g. 'LBModel__Product__LBSearch'
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {String} model The model name
+   * @returns {String} The design doc name without '_design/' prefix
+   */
+  CouchDB.prototype.getSearchDesignDocName = function(mo, model) {
+    return this.getIndexModelPrefix(mo) + '__' + model + '__' +
+      SEARCH_DDOC_SUFFIX;
+  };
+
+  /**
+   * Create or update the search indexes declared in the model setting
+   * `couchdb.searchIndexes`, called by `automigrate` and `autoupdate`.
+   *
+   * ```
+   * "searchIndexes": {
+   *   "products": {
+   *     "fields": ["name", "description", {"brand": {"facet": true}}],
+   *     "analyzer": "english"
+   *   }
+   * }
+   * ```
+   *
+   * A field is indexed under its name, and string values also under the
+   * `default` field searched by queries without field name. An index can
+   * instead give its own `index` function.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.ensureSearchIndexes = function(mo, cb) {
+    var dbSettings = this.getModelObjectSettings(mo.mo);
+    var searchIndexes = dbSettings && dbSettings.searchIndexes;
+    if (!searchIndexes || _.isEmpty(searchIndexes)) {
+      return process.nextTick(cb);
+    }
+    var model = mo.mo.model.modelName;
+    debug('CouchDB.prototype.ensureSearchIndexes %s', model);
+
+    var condition = this.buildModelMapCondition(model, mo);
+    if (!condition) {
+      return process.nextTick(cb, new Error(g.f('The search indexes of %s ' +
+        'require a {{modelSelector}} of equality conditions', model)));
+    }
+    var ddoc = {
+      _id: '_design/' + this.getSearchDesignDocName(mo, model),
+      language: 'javascript',
+      indexes: _.mapValues(searchIndexes, function(def) {
+        return {
+          analyzer: def.analyzer || DEFAULT_ANALYZER,
+          index: def.index || buildIndexFunction(condition, def.fields || []),
+        };
+      }),
+    };
+    this.ensureDesignDoc(mo, ddoc, cb);
+  };
+}
+
+/**
+ * Build the index function of the fields of a search index
+ *
+ * @param {String} condition The condition matching the model documents
+ * @param {Array} fields The property names, or `{name: indexOptions}`
+ * @returns {String} The index function
+ */
+function buildIndexFunction(condition, fields) {
+  var lines = [
+    'function(doc) {',
+    '  if (!(' + condition + ')) return;',
+    '  var value;',
+  ];
+  fields.forEach(function(field) {
+    var name = field;
+    var indexOptions = {};
+    if (typeof field === 'object') {
+      name = Object.keys(field)[0];
+      indexOptions = field[name] || {};
+    }
+    var path = 'doc';
+    var guards = [];
+    name.split('.').forEach(function(part) {
+      path += '[' + JSON.stringify(part) + ']';
+      guards.push(path);
+    });
+    lines.push(
+      '  value = ' + guards.join(' && ') + ';',
+      '  if (value != null) {',
+      '    index(' + JSON.stringify(name) + ', value, ' +
+        JSON.stringify(indexOptions) + ');',
+      '    if (typeof value === "string") index("default", value);',
+      '  }'
+    );
+  });
+  lines.push('}');
+  return lines.join('\n');
+}
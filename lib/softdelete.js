@@ -0,0 +1,224 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var _ = require('lodash');
+var BulkWriteError = require('./errors').BulkWriteError;
+
+/**
+ * The default tombstone properties of the `softDelete` setting
+ */
+const SOFT_DELETE_DEFAULTS = {
+  deletedAt: 'deletedAt',
+  deletedBy: 'deletedBy',
+};
+
+module.exports = mixinSoftDelete;
+
+function mixinSoftDelete(CouchDB) {
+  var debug = require('debug')('loopback:connector:couchdb2:softdelete');
+
+  /**
+   * The tombstone properties of a model with the model setting
+   * `couchdb.softDelete`: `true` or `{deletedAt, deletedBy}`.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @returns {Object} The property names or null if disabled
+   */
+  CouchDB.prototype.getSoftDeleteSettings = function(mo) {
+    var dbSettings = this.getModelObjectSettings(mo.mo);
+    var softDelete = dbSettings && dbSettings.softDelete;
+    if (!softDelete) return null;
+    return _.assign({}, SOFT_DELETE_DEFAULTS,
+      typeof softDelete === 'object' ? softDelete : {});
+  };
+
+  /**
+   * The selector clause excluding the soft deleted documents, null when
+   * the model does not soft delete or `options.withDeleted` is set. With
+   * `options.onlyDeleted` the clause keeps the soft deleted documents only.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} [options] The options object
+   * @returns {Object} The clause, e.g. `{deletedAt: {$exists: false}}`
+   */
+  CouchDB.prototype.getSoftDeleteClause = function(mo, options) {
+    var settings = this.getSoftDeleteSettings(mo);
+    options = options || {};
+    if (!settings || (options.withDeleted && !options.onlyDeleted)) {
+      return null;
+    }
+    var clause = {};
+    clause[settings.deletedAt] = {$exists: !!options.onlyDeleted};
+    return clause;
+  };
+
+  /**
+   * Whether a document read by id is visible to the queries of the
+   * options, see `getSoftDeleteClause`
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} doc The document
+   * @param {Object} [options] The options object
+   * @returns {Boolean} True if visible
+   */
+  CouchDB.prototype.isVisibleDoc = function(mo, doc, options) {
+    var clause = this.getSoftDeleteClause(mo, options);
+    if (!clause) return true;
+    var path = Object.keys(clause)[0];
+    return _.has(doc, path) === clause[path].$exists;
+  };
+
+  /**
+   * The error of a write to a soft deleted instance, which has to be
+   * restored first
+   *
+   * @param {String} model The model name
+   * @param {String} id The document id
+   * @returns {Error} The error, `statusCode` 404 and `code` `SOFT_DELETED`
+   */
+  CouchDB.prototype.softDeletedError = function(model, id) {
+    var err = new Error(g.f('The instance %s of %s is soft deleted', id,
+      model));
+    err.statusCode = 404;
+    err.code = 'SOFT_DELETED';
+    return err;
+  };
+
+  /**
+   * Check that a document about to be replaced is not soft deleted, see
+   * `softDeletedError`. A missing document passes.
+   *
+   * @param {String} model The model name
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {String} id The document id
+   * @param {Object} [options] The options object
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype._checkNotSoftDeleted = function(
+    model,
+    mo,
+    id,
+    options,
+    cb
+  ) {
+    var self = this;
+    if (!self.getSoftDeleteSettings(mo)) return process.nextTick(cb);
+    mo.db.get(id, function(err, doc) {
+      if (err) return cb(err.statusCode === 404 ? null : err);
+      if (!self.isVisibleDoc(mo, doc, options)) {
+        return cb(self.softDeletedError(model, doc._id));
+      }
+      cb();
+    });
+  };
+
+  /**
+   * The soft deleted version of a document, with the time of the deletion
+   * and `options.deletedBy`, or else the user of the access token
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} doc The document
+   * @param {Object} [options] The options object
+   * @returns {Object} The document to write
+   */
+  CouchDB.prototype.toTombstone = function(mo, doc, options) {
+    var settings = this.getSoftDeleteSettings(mo);
+    options = options || {};
+    var deletedBy = options.deletedBy !== undefined ? options.deletedBy :
+      _.get(options, 'accessToken.userId', null);
+    var tombstone = _.cloneDeep(doc);
+    _.set(tombstone, settings.deletedAt, new Date().toISOString());
+    _.set(tombstone, settings.deletedBy, deletedBy);
+    return tombstone;
+  };
+
+  /**
+   * Soft delete a document with `_bulk_docs`
+   *
+   * @param {String} model The model name
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} doc The current document
+   * @param {Object} options The options object
+   * @callback {Function} cb Called with `{ok, id, rev}`, or the error of the
+   * document
+   */
+  CouchDB.prototype._softDelete = function(model, mo, doc, options, cb) {
+    var self = this;
+    debug('CouchDB.prototype._softDelete %s %s', model, doc._id);
+    self.bulkDocs(mo, [self.toTombstone(mo, doc, options)], options,
+      function(err, rows) {
+        if (err) return cb(err);
+        if (rows[0].error) return cb(self.toBulkError(model, rows[0]));
+        cb(null, rows[0]);
+      });
+  };
+
+  /**
+   * Restore the soft deleted instances matching the filter, removing their
+   * tombstone properties with `_bulk_docs`
+   *
+   * @param {String} model The model name
+   * @param {Object} [where] The filter for where
+   * @param {Object} [options] The options object
+   * @callback {Function} cb Called with `{count}`
+   */
+  CouchDB.prototype.restore = function(model, where, options, cb) {
+    if (typeof where === 'function' && !options && !cb) {
+      cb = where;
+      where = {};
+      options = {};
+    } else if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    const start = process.hrtime();
+    debug('CouchDB.prototype.restore %j %j %j', model, where, options);
+    var self = this;
+    var mo = self.selectModel(model, options);
+    const logMessage = self.logContext('restore', model, mo, options);
+    var settings = self.getSoftDeleteSettings(mo);
+    if (!settings) {
+      var err = new Error(g.f('The model %s does not soft delete', model));
+      err.statusCode = 400;
+      err.code = 'SOFT_DELETE_DISABLED';
+      return process.nextTick(cb, err);
+    }
+    var count = 0;
+    var failures = [];
+    var matchOptions = _.assign({}, options, {onlyDeleted: true});
+
+    self._eachMatchPage(model, mo, where, null, matchOptions,
+      function(docs, next) {
+        var restored = docs.map(function(doc) {
+          return _.omit(doc, [settings.deletedAt, settings.deletedBy]);
+        });
+        self.bulkDocs(mo, restored, options, function(err, rows) {
+          if (err) return next(err);
+          rows.forEach(function(row) {
+            if (!row.error) return count++;
+            failures.push({ok: false, id: row.id,
+              error: self.toBulkError(model, row)});
+          });
+          self._invalidateCache(mo, options, start, logMessage,
+            _.map(docs, '_id'), function() {
+              next();
+            });
+        });
+      },
+      function(err) {
+        if (!err && failures.length > 0)
+          err = new BulkWriteError(model, 'restore', failures, count);
+        if (err) {
+          self.dbLog(start, 'error', logMessage, null, null, err, false);
+          return cb(err);
+        }
+        self.dbLog(start, 'info', logMessage, null, null, null, true);
+        cb(null, {count: count});
+      });
+  };
+}
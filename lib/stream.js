@@ -0,0 +1,165 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var Readable = require('stream').Readable;
+var util = require('util');
+var _ = require('lodash');
+
+var debug = require('debug')('loopback:connector:couchdb2:stream');
+
+const DEFAULT_PAGE_SIZE = 100;
+
+module.exports = mixinStream;
+module.exports.QueryStream = QueryStream;
+
+function mixinStream(CouchDB) {
+  /**
+   * Stream the model instances matching a filter. The pages are fetched with
+   * `_find` bookmarks only when the consumer reads, so a slow consumer never
+   * holds more than about one page in memory.
+   *
+   * Example:
+   * ```
+   * ds.connector.stream('User', {where: {active: true}}, {pageSize: 200})
+   *   .on('data', function(user) { ... })
+   *   .on('end', function() { ... });
+   * ```
+   *
+   * The results are not cached. The `include` filter is resolved page by
+   * page.
+   *
+   * @param {String} model The model name
+   * @param {Object} [filter] The filter, `where`, `fields`, `order`, `offset`,
+   * `limit` and `include` are supported
+   * @param {Object} [options] The options object
+   * - `pageSize`: documents fetched per request, defaults to the global limit
+   * or 100
+   * - `raw`: push the documents without `fromDB` conversion
+   * @returns {QueryStream} An object mode Readable of the instances data
+   */
+  CouchDB.prototype.stream = function(model, filter, options) {
+    filter = filter || {};
+    options = options || {};
+    debug('CouchDB.prototype.stream %j %j', model, filter);
+
+    var mo = this.selectPartition(this.selectModel(model, options),
+      filter.where);
+    var query = this.buildFindQuery(model, mo, filter, options);
+    return new QueryStream(this, model, mo, query, filter, options);
+  };
+}
+
+/**
+ * An object mode Readable of the results of a `_find` query, reading one
+ * page per `_read` call.
+ *
+ * @param {CouchDB} connector The connector
+ * @param {String} model The model name
+ * @param {Object} mo The model object generated by selectModel()
+ * @param {Object} query The `_find` query
+ * @param {Object} filter The filter
+ * @param {Object} options The stream options
+ */
+function QueryStream(connector, model, mo, query, filter, options) {
+  this.pageSize = options.pageSize || connector.getGlobalLimit() ||
+    DEFAULT_PAGE_SIZE;
+  Readable.call(this, {objectMode: true, highWaterMark: this.pageSize});
+  this.connector = connector;
+  this.model = model;
+  this.mo = mo;
+  this.filter = filter;
+  this.options = options;
+  this.remaining = filter.limit || Infinity;
+  this.query = _.omit(query, 'limit');
+  this.skip = query.skip || 0;
+  this.fetching = false;
+  this.finished = false;
+  this.count = 0;
+  this.start = process.hrtime();
+  this.logMessage = connector.logContext('stream', model, mo, options);
+  this.logMessage.query = this.query;
+}
+
+util.inherits(QueryStream, Readable);
+
+QueryStream.prototype._read = function() {
+  if (this.fetching || this.finished) return;
+  this._fetchPage();
+};
+
+QueryStream.prototype._destroy = function(err, cb) {
+  debug('QueryStream.prototype._destroy %s', this.model);
+  this.finished = true;
+  cb(err);
+};
+
+/**
+ * Fetch the next page and push its instances, the stream ends after a short
+ * page or once the filter limit is reached.
+ */
+QueryStream.prototype._fetchPage = function() {
+  var self = this;
+  var connector = self.connector;
+  var query = self.query;
+  query.limit = Math.min(self.pageSize, self.remaining);
+  self.fetching = true;
+
+  self.mo.db.find(query, function(err, rst) {
+    debug('QueryStream.prototype._fetchPage results: %j', err);
+    if (self.finished) return;
+    if (err) return self._fail(err);
+
+    var docs = (rst && rst.docs) || [];
+    self.remaining -= docs.length;
+    // the rows read, the bookmark pages included, for a fallback to `skip`
+    self.skip += docs.length;
+    if (docs.length < query.limit || self.remaining <= 0) {
+      self.finished = true;
+    } else if (rst.bookmark && rst.bookmark !== 'nil' &&
+      rst.bookmark !== query.bookmark) {
+      query.bookmark = rst.bookmark;
+      delete query.skip;
+    } else {
+      query.skip = self.skip;
+      delete query.bookmark;
+    }
+
+    self._convert(docs, function(err) {
+      if (err) return self._fail(err);
+      self.fetching = false;
+      self.count += docs.length;
+      docs.forEach(function(doc) {
+        self.push(doc);
+      });
+      if (!self.finished) return;
+      connector.dbLog(self.start, 'info', self.logMessage, self.count, null,
+        null, true);
+      self.push(null);
+    });
+  });
+};
+
+QueryStream.prototype._convert = function(docs, cb) {
+  var connector = this.connector;
+  var filter = this.filter;
+  if (!this.options.raw) {
+    for (var i = 0; i < docs.length; i++) {
+      connector.fromDB(this.model, this.mo, docs[i], filter.fields);
+    }
+  }
+  if (!filter.include) return cb();
+  var options = _.assign({}, this.options, {include: true});
+  connector._models[this.model].model.include(docs, filter.include, options,
+    cb);
+};
+
+QueryStream.prototype._fail = function(err) {
+  this.finished = true;
+  this.connector.dbLog(this.start, 'error', this.logMessage, this.count, null,
+    err, false);
+  this.destroy(err);
+};
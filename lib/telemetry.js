@@ -0,0 +1,72 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var winston = require('winston');
+
+module.exports = createTelemetrySink;
+
+/**
+ * Create the sink receiving the telemetry records of database operations,
+ * configured by the datasource setting `telemetry`:
+ *
+ * - not set, `false` or `'none'`: no telemetry
+ * - `'console'` or `{type: 'console'}`: log records to the console
+ * - `{type: 'file', filename: 'db.log'}`: append records to a file
+ * - `{type: 'http', host: 'localhost', port: 8081, path: '/', ssl: false}`:
+ *   post records to an HTTP endpoint
+ * - a function: called with each record
+ * - an EventEmitter: each record is emitted as a `telemetry` event
+ *
+ * Console, file and HTTP sinks also accept `level` and `service`, the
+ * records are logged through winston as `{level, service, message: record}`.
+ *
+ * @param {String|Object|Function|EventEmitter} config The telemetry setting
+ * @returns {Function} The sink called with each record, or null if disabled
+ */
+function createTelemetrySink(config) {
+  if (!config || config === 'none') return null;
+  if (typeof config === 'function') return config;
+  if (typeof config.emit === 'function') {
+    return function(record) {
+      config.emit('telemetry', record);
+    };
+  }
+  if (typeof config === 'string') config = {type: config};
+
+  var transport;
+  switch (config.type) {
+    case 'none':
+      return null;
+    case 'console':
+      transport = new winston.transports.Console();
+      break;
+    case 'file':
+      transport = new winston.transports.File({filename: config.filename});
+      break;
+    case 'http':
+      transport = new winston.transports.Http({
+        host: config.host,
+        port: config.port,
+        path: config.path,
+        ssl: config.ssl,
+      });
+      break;
+    default:
+      throw new Error(g.f('Invalid telemetry type: %s', config.type));
+  }
+
+  var logger = winston.createLogger({
+    level: config.level || 'info',
+    format: winston.format.json(),
+    defaultMeta: {service: config.service || 'dbtracker'},
+    transports: [transport],
+  });
+  return function(record) {
+    logger.log({level: record.level, message: record});
+  };
+}
@@ -0,0 +1,185 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var g = require('strong-globalize')();
+var _ = require('lodash');
+const ValidationError = require('./errors').ValidationError;
+
+const VALIDATE_DDOC_SUFFIX = 'LBValidate';
+
+/**
+ * The javascript conditions matching the values of a property type, by
+ * type name
+ */
+const TYPE_CONDITIONS = {
+  String: 'typeof value === "string"',
+  Number: 'typeof value === "number"',
+  Boolean: 'typeof value === "boolean"',
+  Date: 'typeof value === "string" && !isNaN(Date.parse(value))',
+  Array: 'Array.isArray(value)',
+  Object: 'typeof value === "object" && !Array.isArray(value)',
+  GeoPoint: 'typeof value === "object" && !Array.isArray(value)',
+};
+
+module.exports = mixinValidate;
+
+function mixinValidate(CouchDB) {
+  var debug = require('debug')('loopback:connector:couchdb2:validate');
+
+  /**
+   * The design doc holding the `validate_doc_update` function of a model,
+   * e.g. 'LBModel__Product__LBValidate'
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {String} model The model name
+   * @returns {String} The design doc name without '_design/' prefix
+   */
+  CouchDB.prototype.getValidateDesignDocName = function(mo, model) {
+    return this.getIndexModelPrefix(mo) + '__' + model + '__' +
+      VALIDATE_DDOC_SUFFIX;
+  };
+
+  /**
+   * Install the `validate_doc_update` function of a model when the model
+   * setting `couchdb.validateDocUpdate` is true, called by `automigrate`
+   * and `autoupdate`. The function rejects the writes of documents of the
+   * model, whoever the writer, whose properties do not have the type of
+   * the model property or miss a required property. Without the setting a
+   * previously installed function is removed.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.ensureValidateDocUpdate = function(mo, cb) {
+    var model = mo.mo.model.modelName;
+    var dbSettings = this.getModelObjectSettings(mo.mo);
+    var ddocId = '_design/' + this.getValidateDesignDocName(mo, model);
+    debug('CouchDB.prototype.ensureValidateDocUpdate %s', model);
+
+    if (!dbSettings || !dbSettings.validateDocUpdate) {
+      // written again by ensureDesignDoc once the setting is back
+      delete (this._designDocs || {})[mo.dbName + '/' + ddocId];
+      return mo.db.get(ddocId, function(err, existing) {
+        if (err) return cb(err.statusCode === 404 ? null : err);
+        mo.db.destroy(existing._id, existing._rev, cb);
+      });
+    }
+    var condition = this.buildModelMapCondition(model, mo);
+    if (!condition) {
+      return process.nextTick(cb, new Error(g.f('The validations of %s ' +
+        'require a {{modelSelector}} of equality conditions', model)));
+    }
+    /* eslint-disable camelcase */
+    var ddoc = {
+      _id: ddocId,
+      language: 'javascript',
+      validate_doc_update: this.buildValidateFunction(model, mo, condition),
+    };
+    /* eslint-enable camelcase */
+    this.ensureDesignDoc(mo, ddoc, cb);
+  };
+
+  /**
+   * Build the `validate_doc_update` function checking the types and the
+   * required properties of a model. A rejected write is reported as 403
+   * `forbidden` with the failed checks as reason:
+   * `{"model": "Product", "codes": {...}, "messages": {...}}`
+   *
+   * @param {String} model The model name
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {String} condition The condition matching the model documents
+   * @returns {String} The validate function
+   */
+  CouchDB.prototype.buildValidateFunction = function(model, mo, condition) {
+    var idName = this.idName(model);
+    var lines = [
+      'function(newDoc, oldDoc, userCtx, secObj) {',
+      '  var doc = newDoc;',
+      '  if (doc._deleted || !(' + condition + ')) return;',
+      '  var codes = {};',
+      '  var messages = {};',
+      '  var failed = false;',
+      '  function fail(name, code, message) {',
+      '    codes[name] = (codes[name] || []).concat(code);',
+      '    messages[name] = (messages[name] || []).concat(message);',
+      '    failed = true;',
+      '  }',
+      '  var value;',
+    ];
+    _.forEach(mo.mo.properties, function(property, name) {
+      if (name === idName || name === '_rev') return;
+      var typeName = getTypeName(property.type);
+      var typeCondition = TYPE_CONDITIONS[typeName];
+      if (!property.required && !typeCondition) return;
+
+      var key = JSON.stringify(name);
+      lines.push('  value = doc[' + key + '];');
+      var blank = 'value === undefined || value === null || value === "" || ' +
+        '(Array.isArray(value) && value.length === 0)';
+      if (property.required) {
+        lines.push(
+          '  if (' + blank + ') {',
+          '    fail(' + key + ', "presence", "can\'t be blank");',
+          '  }'
+        );
+      }
+      if (typeCondition) {
+        lines.push(
+          '  if (value !== undefined && value !== null && ' +
+            '!(' + typeCondition + ')) {',
+          '    fail(' + key + ', "type", ' +
+            JSON.stringify('is not a valid ' + typeName) + ');',
+          '  }'
+        );
+      }
+    });
+    lines.push(
+      '  if (failed) {',
+      '    throw({forbidden: JSON.stringify({model: ' + JSON.stringify(model) +
+        ', codes: codes, messages: messages})});',
+      '  }',
+      '}'
+    );
+    return lines.join('\n');
+  };
+
+  /**
+   * Convert the 403 `forbidden` error of a write rejected by the function
+   * of `ensureValidateDocUpdate` to a `ValidationError`, other errors are
+   * returned as is.
+   *
+   * @param {String} model The model name
+   * @param {Error} err The error of the write
+   * @returns {Error} The error
+   */
+  CouchDB.prototype.toValidationError = function(model, err) {
+    if (!err || err.statusCode !== 403 || err.error !== 'forbidden') {
+      return err;
+    }
+    var reason;
+    try {
+      reason = JSON.parse(err.reason);
+    } catch (e) {
+      return err;
+    }
+    if (!reason || typeof reason !== 'object' || !reason.codes) return err;
+    return new ValidationError(reason.model || model, reason.codes,
+      reason.messages);
+  };
+}
+
+/**
+ * The name of a property type, 'Array' for lists and 'Object' for
+ * anonymous models
+ */
+function getTypeName(type) {
+  if (Array.isArray(type)) return 'Array';
+  if (typeof type === 'string') return _.upperFirst(type);
+  if (!type || !type.name) return null;
+  if (type.definition && type.definition.properties) return 'Object';
+  return type.name;
+}
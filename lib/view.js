@@ -5,11 +5,15 @@
 
 'use strict';
 
+var Connector = require('loopback-connector').Connector;
 var URL = require('url');
 var assert = require('assert');
+var g = require('strong-globalize')();
 var util = require('util');
 var _ = require('lodash');
 
+const VIEW_DDOC_SUFFIX = 'LBView';
+
 module.exports = mixinView;
 
 function mixinView(CouchDB) {
@@ -46,6 +50,262 @@ function mixinView(CouchDB) {
     db.view(ddocName, viewName, options, cb);
   };
 
+  /**
+   * Make sure a connector-managed design document exists with the given
+   * content. The design doc is fetched and only written when it is missing
+   * or its content differs, and the result is remembered per database so
+   * the check runs once per connector instance.
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {Object} ddoc The design doc, `_id` with prefix '_design/'
+   * @callback {Function} cb The callback function
+   */
+  CouchDB.prototype.ensureDesignDoc = function(mo, ddoc, cb) {
+    debug('CouchDB2.prototype.ensureDesignDoc db %s ddoc %s',
+      mo.dbName, ddoc._id);
+
+    var self = this;
+    var cacheKey = mo.dbName + '/' + ddoc._id;
+    var content = _.omit(ddoc, ['_id', '_rev']);
+    var contentView = JSON.stringify(content);
+    self._designDocs = self._designDocs || {};
+    if (self._designDocs[cacheKey] === contentView) return process.nextTick(cb);
+
+    mo.db.get(ddoc._id, function(err, existing) {
+      if (err && err.statusCode !== 404) return cb(err);
+      if (existing && _.isEqual(_.omit(existing, ['_id', '_rev']), content)) {
+        self._designDocs[cacheKey] = contentView;
+        return cb();
+      }
+      var body = _.assign({_id: ddoc._id}, content);
+      if (existing) body._rev = existing._rev;
+      mo.db.insert(body, function(err) {
+        // another process wrote the design doc in the meantime
+        if (err && err.statusCode !== 409) return cb(err);
+        self._designDocs[cacheKey] = contentView;
+        cb();
+      });
+    });
+  };
+
+  /**
+   * Query a view declared in the model setting `couchdb.views`. The ids of
+   * the rows are converted to the model id type, and with `include_docs`
+   * the documents to model data.
+   *
+   * Example:
+   * ```
+   * ds.connector.queryView('Order', 'byCustomer', {key: 'c1'},
+   *   function(err, rows) {
+   *     // rows: [{id: 'o1', key: 'c1', value: 10}, ...]
+   *   });
+   * ```
+   *
+   * @param {String} model The model name
+   * @param {String} viewName The view name
+   * @param {Object} [params] The CouchDB view parameters
+   * @param {Object} [options] The options object
+   * @callback {Function} cb Called with the rows of the view
+   */
+  CouchDB.prototype.queryView = function(
+    model,
+    viewName,
+    params,
+    options,
+    cb
+  ) {
+    if (typeof params === 'function' && !options && !cb) {
+      cb = params;
+      params = {};
+      options = {};
+    } else if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    params = params || {};
+    options = options || {};
+    debug('CouchDB2.prototype.queryView %s %s %j', model, viewName, params);
+
+    var self = this;
+    var mo = self.selectModel(model, options);
+    var views = self.getModelObjectSettings(mo.mo);
+    views = views && views.views;
+    if (!views || !views.hasOwnProperty(viewName)) {
+      const start = process.hrtime();
+      const logMessage = self.logContext('queryView', model, mo, options);
+      logMessage.query = {view: viewName, params: params};
+      var err = new Error(g.f('The view %s is not declared by the model %s',
+        viewName, model));
+      err.statusCode = 404;
+      err.code = 'VIEW_NOT_FOUND';
+      self.dbLog(start, 'error', logMessage, null, null, err, false);
+      return process.nextTick(cb, err);
+    }
+
+    var ddocName = self.getModelViewDocName(mo, model, viewName);
+    self.viewModelDocs(model, ddocName, viewName, params, options,
+      function(err, result) {
+        if (err) return cb(err);
+        cb(null, result.rows);
+      });
+  };
+
+  /**
+   * Query a view of the model database, the database is resolved like the
+   * other model queries with `selectModel`. The ids of the rows are
+   * converted to the model id type, and with `include_docs` the documents
+   * to model data. The params are the CouchDB view parameters: `key`,
+   * `keys` (fetched with a POST), `startkey`/`endkey`, `descending`,
+   * `reduce`, `group`, `group_level` and so on.
+   *
+   * With `limit` the result has a `next` cursor when more rows follow,
+   * the `startkey` and `startkey_docid` params of the next page, only
+   * `startkey_docid` with `key`, and `skip: 0` when the params skip rows:
+   * ```
+   * var params = {startkey: 'c1', endkey: 'c9', limit: 50};
+   * ds.connector.viewModelDocs('Order', 'orders', 'byCustomer', params,
+   *   function(err, page) {
+   *     // page: {rows, total, offset, next}
+   *     if (page.next) {
+   *       ds.connector.viewModelDocs('Order', 'orders', 'byCustomer',
+   *         _.assign({}, params, page.next), cb);
+   *     }
+   *   });
+   * ```
+   *
+   * @param {String} model The model name
+   * @param {String} ddocName The design doc name without '_design/' prefix
+   * @param {String} viewName The view name
+   * @param {Object} [params] The CouchDB view parameters
+   * @param {Object} [options] The options object
+   * @callback {Function} cb Called with `{rows, total, offset, next}`
+   */
+  CouchDB.prototype.viewModelDocs = function(
+    model,
+    ddocName,
+    viewName,
+    params,
+    options,
+    cb
+  ) {
+    if (typeof params === 'function' && !options && !cb) {
+      cb = params;
+      params = {};
+      options = {};
+    } else if (typeof options === 'function' && !cb) {
+      cb = options;
+      options = {};
+    }
+    params = params || {};
+    options = options || {};
+    debug('CouchDB2.prototype.viewModelDocs %s %s %s %j', model, ddocName,
+      viewName, params);
+
+    var self = this;
+    const start = process.hrtime();
+    var mo = self.selectModel(model, options);
+    const logMessage = self.logContext('viewModelDocs', model, mo, options);
+    logMessage.query = {ddoc: ddocName, view: viewName, params: params};
+
+    var query = _.clone(params);
+    var limit = params.limit === undefined ? undefined : Number(params.limit);
+    // one more row tells whether a next page exists
+    var paged = limit > 0 && !params.keys;
+    if (paged) query.limit = limit + 1;
+
+    mo.db.view(ddocName, viewName, query, function(err, rst) {
+      if (err) {
+        self.dbLog(start, 'error', logMessage, null, null, err, false);
+        return cb(err);
+      }
+      var rows = rst.rows || [];
+      var next = null;
+      if (paged && rows.length > limit) {
+        next = nextPageParams(rows[limit], params);
+        rows = rows.slice(0, limit);
+      }
+      var result = {
+        rows: toModelRows(self, model, mo, rows),
+        total: rst.total_rows,
+        offset: rst.offset,
+        next: next,
+      };
+      self.dbLog(start, 'info', logMessage, result.rows.length, null, null,
+        true);
+      cb(null, result);
+    });
+  };
+
+  /**
+   * The design doc of a view declared by a model, one design doc per view
+   * so changing a view does not rebuild the others,
+   * e.g. 'LBModel__Order__LBView__byCustomer'
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {String} model The model name
+   * @param {String} viewName The view name
+   * @returns {String} The design doc name without '_design/' prefix
+   */
+  CouchDB.prototype.getModelViewDocName = function(mo, model, viewName) {
+    return this.getModelViewDocPrefix(mo, model) + viewName;
+  };
+
+  /**
+   * The prefix of the design docs of the views declared by a model
+   *
+   * @param {Object} mo The model object generated by selectModel()
+   * @param {String} model The model name
+   * @returns {String} The prefix without '_design/'
+   */
+  CouchDB.prototype.getModelViewDocPrefix = function(mo, model) {
+    return this.getIndexModelPrefix(mo) + '__' + model + '__' +
+      VIEW_DDOC_SUFFIX + '__';
+  };
+
+  /**
+   * Hook called by the datasource for each model attached to it, adds the
+   * `queryView(viewName, [params], [options], [cb])` model method. With
+   * `include_docs` the documents of the rows are model instances.
+   *
+   * @param {Object} modelDefinition The model definition
+   */
+  CouchDB.prototype.define = function(modelDefinition) {
+    Connector.prototype.define.call(this, modelDefinition);
+    var self = this;
+    var Model = modelDefinition.model;
+    var modelName = Model.modelName;
+
+    Model.queryView = function(viewName, params, options, cb) {
+      if (typeof params === 'function' && !options && !cb) {
+        cb = params;
+        params = {};
+        options = {};
+      } else if (typeof options === 'function' && !cb) {
+        cb = options;
+        options = {};
+      }
+      var promise;
+      if (!cb) {
+        promise = new Promise(function(resolve, reject) {
+          cb = function(err, rows) {
+            if (err) return reject(err);
+            resolve(rows);
+          };
+        });
+      }
+      self.queryView(modelName, viewName, params, options, function(err, rows) {
+        if (err) return cb(err);
+        rows.forEach(function(row) {
+          if (row.doc) {
+            row.doc = new Model(row.doc, {applySetters: false, persisted: true});
+          }
+        });
+        cb(null, rows);
+      });
+      return promise;
+    };
+  };
+
   /**
    * Return CouchDB database name
    * @param {Object} connector The CouchDB connector instance
@@ -58,6 +318,40 @@ function mixinView(CouchDB) {
   };
 };
 
+/**
+ * Convert the rows of a view to the model, the ids to the model id type and
+ * the documents to model data
+ */
+function toModelRows(connector, model, mo, rows) {
+  var idName = connector.idName(model);
+  var idProp = idName && mo.mo.properties[idName];
+  var numericId = idProp && idProp.type && idProp.type.name === 'Number';
+  return rows.map(function(row) {
+    var result = _.omit(row, 'doc');
+    if (numericId && row.id !== undefined) result.id = Number(row.id);
+    if (row.doc) result.doc = connector.fromDB(model, mo, row.doc);
+    else if (row.hasOwnProperty('doc')) result.doc = null;
+    return result;
+  });
+}
+
+/**
+ * The params reading the next page of a view from its first row, reduced
+ * rows have no id and unique keys, the rows of a `key` query only need the
+ * document id. The `skip` of the first page is reset, the next page starts
+ * at its first row.
+ */
+function nextPageParams(row, params) {
+  var next = {};
+  // the rows of a single key only differ by document id
+  if (params.key === undefined) next.startkey = row.key;
+  /* eslint-disable camelcase */
+  if (row.id !== undefined) next.startkey_docid = row.id;
+  /* eslint-enable camelcase */
+  if (params.skip) next.skip = 0;
+  return next;
+}
+
 /**
  * Parse url and return the database name if provided
  * @param {String} url The CouchDB connection url
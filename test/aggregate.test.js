@@ -0,0 +1,230 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var should = require('should');
+var db, connector, Order;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('aggregate', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    Order = db.define('AggregateOrder', {
+      status: {type: String},
+      currency: {type: String},
+      day: {type: Date},
+      total: {type: Number},
+    }, {forceId: false});
+    db.automigrate('AggregateOrder', function(err) {
+      if (err) return done(err);
+      Order.create([
+        {status: 'paid', currency: 'EUR', day: new Date('2019-01-01'),
+          total: 10},
+        {status: 'paid', currency: 'EUR', day: new Date('2019-01-02'),
+          total: 20},
+        {status: 'paid', currency: 'USD', day: new Date('2019-01-01'),
+          total: 5},
+        {status: 'open', currency: 'USD', day: new Date('2019-01-01'),
+          total: 100},
+      ], done);
+    });
+  });
+
+  after(function(done) {
+    Order.destroyAll(done);
+  });
+
+  it('counts all instances by default', function(done) {
+    connector.aggregate('AggregateOrder', {}, function(err, rows) {
+      if (err) return done(err);
+      rows.should.eql([{count: 4}]);
+      done();
+    });
+  });
+
+  it('groups the metrics of the filtered instances', function(done) {
+    connector.aggregate('AggregateOrder', {
+      where: {status: 'paid'},
+      groupBy: 'currency',
+      metrics: {sum: 'total', avg: 'total', max: 'total', count: true},
+    }, function(err, rows) {
+      if (err) return done(err);
+      rows.should.eql([
+        {currency: 'EUR', count: 2, sum: {total: 30}, avg: {total: 15},
+          max: {total: 20}},
+        {currency: 'USD', count: 1, sum: {total: 5}, avg: {total: 5},
+          max: {total: 5}},
+      ]);
+      done();
+    });
+  });
+
+  it('returns typed group values', function(done) {
+    connector.aggregate('AggregateOrder', {
+      where: {status: 'paid'},
+      groupBy: ['day', 'currency'],
+      metrics: {sum: 'total'},
+    }, function(err, rows) {
+      if (err) return done(err);
+      rows.should.have.length(3);
+      rows[0].day.should.be.instanceOf(Date);
+      rows[0].day.toISOString().should.equal('2019-01-01T00:00:00.000Z');
+      rows[0].currency.should.equal('EUR');
+      rows[0].sum.should.eql({total: 10});
+      done();
+    });
+  });
+
+  it('reuses the connector-owned design docs', function(done) {
+    var spec = {groupBy: 'status', metrics: {sum: 'total'}};
+    connector.aggregate('AggregateOrder', spec).then(function() {
+      var mo = connector.selectModel('AggregateOrder');
+      var views = connector.buildAggregateViews('AggregateOrder', mo, null,
+        ['status'], spec.metrics);
+      views.should.have.length(1);
+      var prefix = 'LBModel__AggregateOrder__LBAggregate__';
+      views[0].ddocName.should.startWith(prefix);
+      views[0].reduce.should.equal('_sum');
+      mo.db.get('_design/' + views[0].ddocName, done);
+    }).catch(done);
+  });
+
+  it('shares the views of the filters on the same properties', function(done) {
+    var mo = connector.selectModel('AggregateOrder');
+    var spy = global.sinon.spy(mo.db, 'view');
+    connector.aggregate('AggregateOrder', {where: {status: 'paid'}},
+      function(err, paid) {
+        if (err) return done(err);
+        connector.aggregate('AggregateOrder', {where: {status: 'open'}},
+          function(err, open) {
+            spy.restore();
+            if (err) return done(err);
+            paid.should.eql([{count: 3}]);
+            open.should.eql([{count: 1}]);
+            spy.args[0][0].should.equal(spy.args[1][0]);
+            spy.args[0][2].startkey.should.eql(['paid']);
+            spy.args[1][2].startkey.should.eql(['open']);
+            done();
+          });
+      });
+  });
+
+  it('rejects the filters other than equalities', function(done) {
+    var wheres = [
+      {total: {gte: 20}},
+      {status: {neq: 'paid'}},
+      {status: {inq: ['paid', 'open']}},
+      {or: [{currency: 'USD'}, {status: 'paid'}]},
+      {id: '1'},
+    ];
+    var mo = connector.selectModel('AggregateOrder');
+    var spy = global.sinon.spy(mo.db, 'view');
+    require('async').eachSeries(wheres, function(where, cb) {
+      connector.aggregate('AggregateOrder', {where: where}, function(err) {
+        should.exist(err);
+        err.statusCode.should.equal(400);
+        err.code.should.equal('UNSUPPORTED_AGGREGATE_FILTER');
+        cb();
+      });
+    }, function(err) {
+      spy.restore();
+      if (err) return done(err);
+      spy.called.should.be.false();
+      done();
+    });
+  });
+
+  it('reads one row per group', function(done) {
+    var mo = connector.selectModel('AggregateOrder');
+    var spy = global.sinon.spy(mo.db, 'view');
+    connector.aggregate('AggregateOrder', {
+      where: {status: {eq: 'paid'}},
+      groupBy: 'currency',
+    }, function(err, rows) {
+      spy.restore();
+      if (err) return done(err);
+      rows.should.eql([
+        {currency: 'EUR', count: 2},
+        {currency: 'USD', count: 1},
+      ]);
+      spy.args[0][2].should.eql({
+        reduce: true,
+        group_level: 2, // eslint-disable-line camelcase
+        startkey: ['paid'],
+        endkey: ['paid', {}],
+      });
+      done();
+    });
+  });
+
+  it('limits the aggregate design docs of a model', function(done) {
+    var mo = connector.selectModel('AggregateOrder');
+    var limit = connector.settings.aggregateViewLimit;
+    connector.cleanupAggregateViews(mo, {all: true}, function(err) {
+      if (err) return done(err);
+      connector.settings.aggregateViewLimit = 1;
+      connector.aggregate('AggregateOrder', {groupBy: 'status'},
+        function(err) {
+          if (err) return finish(err);
+          connector.aggregate('AggregateOrder', {groupBy: 'currency'},
+            function(err) {
+              should.exist(err);
+              err.statusCode.should.equal(400);
+              err.code.should.equal('AGGREGATE_VIEW_LIMIT');
+              connector.cleanupAggregateViews(mo, {all: true},
+                function(err) {
+                  if (err) return finish(err);
+                  connector.aggregate('AggregateOrder', {groupBy: 'currency'},
+                    finish);
+                });
+            });
+        });
+    });
+
+    function finish(err) {
+      connector.settings.aggregateViewLimit = limit;
+      done(err);
+    }
+  });
+
+  it('drops the stale design docs on autoupdate', function(done) {
+    var mo = connector.selectModel('AggregateOrder');
+    var prefix = '_design/' +
+      connector.getAggregateDesignDocPrefix(mo, 'AggregateOrder');
+    var stale = {
+      _id: prefix + 'stale',
+      language: 'javascript',
+      views: {aggregate: {map: 'function(doc) {}', reduce: '_count'}},
+    };
+    connector.aggregate('AggregateOrder', {}, function(err) {
+      if (err) return done(err);
+      mo.db.insert(stale, function(err) {
+        if (err) return done(err);
+        db.autoupdate('AggregateOrder', function(err) {
+          if (err) return done(err);
+          mo.db.get(stale._id, function(err) {
+            err.statusCode.should.equal(404);
+            var view = connector.buildAggregateViews('AggregateOrder', mo, {},
+              [], null)[0];
+            mo.db.get(view.ddoc._id, done);
+          });
+        });
+      });
+    });
+  });
+
+  it('rejects unsupported operators', function(done) {
+    connector.aggregate('AggregateOrder', {where: {status: {like: 'p'}}},
+      function(err) {
+        err.code.should.equal('UNSUPPORTED_AGGREGATE_FILTER');
+        done();
+      });
+  });
+});
@@ -0,0 +1,162 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var stream = require('stream');
+var db, Invoice, invoice;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('attachments', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Invoice = db.define('Invoice', {
+      number: {type: String},
+    }, {forceId: false});
+    db.automigrate(function(err) {
+      if (err) return done(err);
+      Invoice.create({number: 'INV-1'}, function(err, inst) {
+        invoice = inst;
+        done(err);
+      });
+    });
+  });
+
+  it('uploads an attachment from a buffer', function(done) {
+    db.connector.putAttachment('Invoice', invoice.id, 'note.txt',
+      Buffer.from('hello'), 'text/plain', function(err, result) {
+        if (err) return done(err);
+        result.id.should.equal(invoice.id);
+        result.rev.should.startWith('2-');
+        done();
+      });
+  });
+
+  it('uploads an attachment from a stream with a revision', function(done) {
+    db.connector.getCurrentRevision('Invoice', invoice.id, function(err, rev) {
+      if (err) return done(err);
+      var content = new stream.PassThrough();
+      content.end('%PDF-1.4');
+      db.connector.putAttachment('Invoice', invoice.id, 'invoice.pdf', content,
+        'application/pdf', rev, function(err, result) {
+          if (err) return done(err);
+          result.rev.should.startWith('3-');
+          done();
+        });
+    });
+  });
+
+  it('exposes attachment metadata on find results', function(done) {
+    Invoice.findById(invoice.id, function(err, found) {
+      if (err) return done(err);
+      var attachments = found.toObject()._attachments;
+      attachments.should.have.properties(['note.txt', 'invoice.pdf']);
+      attachments['note.txt'].contentType.should.equal('text/plain');
+      attachments['note.txt'].length.should.equal(5);
+      done();
+    });
+  });
+
+  it('keeps the attachments when the instance is saved', function(done) {
+    Invoice.findById(invoice.id, function(err, found) {
+      if (err) return done(err);
+      found.number = 'INV-2';
+      found.save(function(err) {
+        if (err) return done(err);
+        db.connector.getAttachment('Invoice', invoice.id, 'note.txt',
+          function(err, content) {
+            if (err) return done(err);
+            content.toString().should.equal('hello');
+            done();
+          });
+      });
+    });
+  });
+
+  it('streams an attachment', function(done) {
+    var metadata;
+    var content = '';
+    db.connector.getAttachment('Invoice', invoice.id, 'invoice.pdf')
+      .on('metadata', function(m) {
+        metadata = m;
+      })
+      .on('data', function(chunk) {
+        content += chunk;
+      })
+      .on('error', done)
+      .on('end', function() {
+        metadata.contentType.should.equal('application/pdf');
+        content.should.equal('%PDF-1.4');
+        done();
+      });
+  });
+
+  it('reports a missing attachment on the stream', function(done) {
+    db.connector.getAttachment('Invoice', invoice.id, 'missing.txt')
+      .on('error', function(err) {
+        err.statusCode.should.equal(404);
+        err.code.should.equal('NOT_FOUND');
+        done();
+      });
+  });
+
+  it('refuses the documents of other models', function(done) {
+    var Receipt = db.define('Receipt', {
+      number: {type: String},
+    }, {forceId: false});
+    Receipt.create({number: 'R-1'}, function(err, receipt) {
+      if (err) return done(err);
+      db.connector.putAttachment('Invoice', receipt.id, 'note.txt',
+        Buffer.from('hello'), 'text/plain', function(err) {
+          err.statusCode.should.equal(404);
+          err.code.should.equal('NOT_FOUND');
+          db.connector.destroyAttachment('Invoice', receipt.id, 'note.txt',
+            function(err) {
+              err.statusCode.should.equal(404);
+              err.code.should.equal('NOT_FOUND');
+              refusesDownload(receipt, done);
+            });
+        });
+    });
+  });
+
+  // the attachment of a document of another model is not downloaded
+  function refusesDownload(receipt, done) {
+    var rdb = db.connector.selectModel('Receipt').db;
+    rdb.attachment.insert(receipt.id, 'note.txt', Buffer.from('hello'),
+      'text/plain', {rev: receipt._rev}, function(err) {
+        if (err) return done(err);
+        db.connector.getAttachment('Invoice', receipt.id, 'note.txt',
+          function(err) {
+            err.statusCode.should.equal(404);
+            err.code.should.equal('NOT_FOUND');
+            db.connector.getAttachment('Invoice', receipt.id, 'note.txt')
+              .on('error', function(err) {
+                err.statusCode.should.equal(404);
+                done();
+              })
+              .on('data', function() {
+                done(new Error('downloaded the attachment of a Receipt'));
+              });
+          });
+      });
+  }
+
+  it('deletes an attachment', function(done) {
+    db.connector.destroyAttachment('Invoice', invoice.id, 'note.txt',
+      function(err) {
+        if (err) return done(err);
+        Invoice.findById(invoice.id, function(err, found) {
+          if (err) return done(err);
+          found.toObject()._attachments.should.not.have.property('note.txt');
+          done();
+        });
+      });
+  });
+});
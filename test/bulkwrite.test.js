@@ -0,0 +1,146 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var should = require('should');
+var db, connector, Item, mo;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('chunked destroyAll and updateAll', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    Item = db.define('ChunkedItem', {
+      name: {type: String},
+      status: {type: String},
+    });
+    db.automigrate('ChunkedItem', function(err) {
+      if (err) return done(err);
+      mo = connector.selectModel('ChunkedItem');
+      done();
+    });
+  });
+
+  beforeEach(function(done) {
+    var data = ['a', 'b', 'c', 'd', 'e'].map(function(name) {
+      return {name: name, status: 'new'};
+    });
+    connector.createAll('ChunkedItem', data, {}, done);
+  });
+
+  afterEach(function(done) {
+    Item.destroyAll(done);
+  });
+
+  it('deletes the matches in chunks', function(done) {
+    var spy = global.sinon.spy(mo.db, 'bulk');
+    connector.destroyAll('ChunkedItem', {status: 'new'}, {chunkSize: 2},
+      function(err, info) {
+        spy.restore();
+        if (err) return done(err);
+        info.count.should.equal(5);
+        spy.callCount.should.equal(3);
+        spy.args[0][0].docs[0]._deleted.should.be.true();
+        Item.count(function(err, count) {
+          if (err) return done(err);
+          count.should.equal(0);
+          done();
+        });
+      });
+  });
+
+  it('updates the matches in chunks', function(done) {
+    var spy = global.sinon.spy(mo.db, 'bulk');
+    connector.updateAll('ChunkedItem', {status: 'new'}, {status: 'done'},
+      {chunkSize: 2}, function(err, info) {
+        spy.restore();
+        if (err) return done(err);
+        info.count.should.equal(5);
+        spy.callCount.should.equal(3);
+        Item.count({status: 'done'}, function(err, count) {
+          if (err) return done(err);
+          count.should.equal(5);
+          done();
+        });
+      });
+  });
+
+  it('reports the failed documents together', function(done) {
+    var bulk = mo.db.bulk;
+    var stub = global.sinon.stub(mo.db, 'bulk', function(body, cb) {
+      var failed = body.docs.shift();
+      bulk.call(mo.db, body, function(err, rows) {
+        if (err) return cb(err);
+        cb(null, [{id: failed._id, error: 'forbidden',
+          reason: 'read only'}].concat(rows));
+      });
+    });
+    connector.updateAll('ChunkedItem', {}, {status: 'done'}, {chunkSize: 2},
+      function(err) {
+        stub.restore();
+        should.exist(err);
+        err.name.should.equal('BulkWriteError');
+        err.statusCode.should.equal(403);
+        err.count.should.equal(2);
+        err.failures.should.have.length(3);
+        err.failures[0].error.code.should.equal('FORBIDDEN');
+        done();
+      });
+  });
+
+  describe('without bookmark', function() {
+    var stub;
+
+    beforeEach(function() {
+      var find = mo.db.find;
+      stub = global.sinon.stub(mo.db, 'find', function(query, cb) {
+        find.call(mo.db, query, function(err, rst) {
+          if (rst) delete rst.bookmark;
+          cb(err, rst);
+        });
+      });
+    });
+
+    afterEach(function() {
+      stub.restore();
+    });
+
+    it('deletes all the matches', function(done) {
+      connector.destroyAll('ChunkedItem', {status: 'new'}, {chunkSize: 2},
+        function(err, info) {
+          if (err) return done(err);
+          info.count.should.equal(5);
+          stub.args.forEach(function(args) {
+            args[0].skip.should.equal(0);
+          });
+          Item.count(function(err, count) {
+            if (err) return done(err);
+            count.should.equal(0);
+            done();
+          });
+        });
+    });
+
+    it('updates the matches once', function(done) {
+      var spy = global.sinon.spy(mo.db, 'bulk');
+      connector.updateAll('ChunkedItem', {}, {status: 'done'}, {chunkSize: 2},
+        function(err, info) {
+          spy.restore();
+          if (err) return done(err);
+          info.count.should.equal(5);
+          spy.callCount.should.equal(3);
+          Item.count({status: 'done'}, function(err, count) {
+            if (err) return done(err);
+            count.should.equal(5);
+            done();
+          });
+        });
+    });
+  });
+});
@@ -0,0 +1,231 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var _ = require('lodash');
+var should = require('should');
+var MemoryCache = require('../lib/cache').MemoryCache;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+var db, CachedUser;
+
+describe('query cache', function() {
+  before(function(done) {
+    var config = _.assign({}, global.config, {cache: {type: 'memory'}});
+    db = global.getDataSource(config);
+    CachedUser = db.define('CachedUser', {
+      name: {type: String},
+    }, {
+      forceId: false,
+      useCache: true,
+      cacheKey: 'CachedUser',
+      cacheField: 'list',
+    });
+    db.automigrate(function(err) {
+      if (err) return done(err);
+      CachedUser.create([{name: 'Foo'}, {name: 'Bar'}], done);
+    });
+  });
+
+  after(function(done) {
+    CachedUser.destroyAll(done);
+  });
+
+  it('serves a repeated query from the cache', function(done) {
+    CachedUser.find({where: {name: 'Foo'}}, function(err, users) {
+      if (err) return done(err);
+      users.length.should.equal(1);
+      var findSpy = global.sinon.spy(db.connector, '_findRecursive');
+      CachedUser.find({where: {name: 'Foo'}}, function(err, users) {
+        findSpy.restore();
+        if (err) return done(err);
+        users.length.should.equal(1);
+        findSpy.called.should.be.false();
+        done();
+      });
+    });
+  });
+
+  it('invalidates the cached queries after a write', function(done) {
+    CachedUser.find(function(err, users) {
+      if (err) return done(err);
+      users.length.should.equal(2);
+      CachedUser.create({name: 'Baz'}, function(err) {
+        if (err) return done(err);
+        CachedUser.find(function(err, users) {
+          if (err) return done(err);
+          users.length.should.equal(3);
+          done();
+        });
+      });
+    });
+  });
+});
+
+describe('query cache with document invalidation', function() {
+  var foo, bar;
+
+  before(function(done) {
+    var config = _.assign({}, global.config, {cache: {type: 'memory'}});
+    db = global.getDataSource(config);
+    CachedUser = db.define('CachedDocUser', {
+      name: {type: String},
+      age: {type: Number},
+    }, {
+      forceId: false,
+      useCache: true,
+      cacheKey: 'CachedDocUser',
+      cacheField: 'list',
+      cacheTtl: 60,
+      cacheInvalidation: 'document',
+    });
+    db.automigrate(function(err) {
+      if (err) return done(err);
+      CachedUser.create([{name: 'Foo', age: 1}, {name: 'Bar', age: 2}],
+        function(err, users) {
+          if (err) return done(err);
+          foo = users[0];
+          bar = users[1];
+          done();
+        });
+    });
+  });
+
+  after(function(done) {
+    CachedUser.destroyAll(done);
+  });
+
+  it('caches queries with the model time to live', function(done) {
+    CachedUser.find({where: {name: 'Foo'}}, function(err) {
+      if (err) return done(err);
+      var cache = db.connector.cache;
+      var field = Array.from(cache.keyFields.get('CachedDocUser'))[0];
+      cache.ttl('CachedDocUser', field, function(err, ttl) {
+        if (err) return done(err);
+        ttl.should.be.within(1, 60);
+        done();
+      });
+    });
+  });
+
+  it('only drops the queries containing the updated instance',
+    function(done) {
+      // with a limit a page short of it is the last, one _find request
+      var barFilter = {where: {name: 'Bar'}, limit: 10};
+      CachedUser.find(barFilter, function(err) {
+        if (err) return done(err);
+        bar.updateAttributes({age: 3}, function(err) {
+          if (err) return done(err);
+          var findSpy = global.sinon.spy(db.connector, '_findRecursive');
+          CachedUser.find({where: {name: 'Foo'}}, function(err, users) {
+            if (err) {
+              findSpy.restore();
+              return done(err);
+            }
+            findSpy.called.should.be.false();
+            users[0].id.should.equal(foo.id);
+            CachedUser.find(barFilter, function(err, users) {
+              findSpy.restore();
+              if (err) return done(err);
+              findSpy.calledOnce.should.be.true();
+              users[0].age.should.equal(3);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+  it('caches findById', function(done) {
+    var connector = db.connector;
+    connector.findById('CachedDocUser', foo.id, {}, function(err, user) {
+      if (err) return done(err);
+      user.name.should.equal('Foo');
+      var mo = connector.selectModel('CachedDocUser');
+      var getSpy = global.sinon.spy(mo.db, 'get');
+      connector.findById('CachedDocUser', foo.id, {}, function(err, user) {
+        getSpy.restore();
+        if (err) return done(err);
+        getSpy.called.should.be.false();
+        user.name.should.equal('Foo');
+        done();
+      });
+    });
+  });
+});
+
+describe('MemoryCache', function() {
+  it('evicts the least recently used field', function(done) {
+    var cache = new MemoryCache({max: 2});
+    cache.set('key', 'a', 1, null);
+    cache.set('key', 'b', 2, null);
+    cache.get('key', 'a', function(err, value) {
+      if (err) return done(err);
+      value.should.equal(1);
+      cache.set('key', 'c', 3, null);
+      cache.get('key', 'b', function(err, value) {
+        if (err) return done(err);
+        should.not.exist(value);
+        done();
+      });
+    });
+  });
+
+  it('invalidates every field of a key', function(done) {
+    var cache = new MemoryCache();
+    cache.set('key', 'a', 1, null);
+    cache.set('other', 'a', 2, null);
+    cache.invalidate('key', null, function(err) {
+      if (err) return done(err);
+      cache.get('key', 'a', function(err, value) {
+        if (err) return done(err);
+        should.not.exist(value);
+        cache.get('other', 'a', function(err, value) {
+          if (err) return done(err);
+          value.should.equal(2);
+          done();
+        });
+      });
+    });
+  });
+
+  it('keeps the indexes out of the least recently used fields',
+    function(done) {
+      var cache = new MemoryCache({max: 2});
+      cache.addIndex('key:doc:1', 'key', 'a', null);
+      cache.addIndex('key:doc:2', 'key', 'a', null);
+      cache.set('key', 'a', 1, null);
+      cache.set('key', 'b', 2, null);
+      cache.fields('key:doc:2', function(err, fields) {
+        if (err) return done(err);
+        fields.should.eql(['a']);
+        cache.set('key', 'c', 3, null);
+        // the evicted field leaves its indexes
+        cache.fields('key:doc:1', function(err, fields) {
+          if (err) return done(err);
+          fields.should.eql([]);
+          done();
+        });
+      });
+    });
+
+  it('reports the time to live of a field', function(done) {
+    var cache = new MemoryCache();
+    cache.set('key', 'a', 1, 60);
+    cache.ttl('key', 'a', function(err, ttl) {
+      if (err) return done(err);
+      ttl.should.equal(60);
+      cache.ttl('key', 'missing', function(err, ttl) {
+        if (err) return done(err);
+        ttl.should.equal(-2);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var db, ChangesUser;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('watch', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    ChangesUser = db.define('ChangesUser', {
+      name: {type: String},
+      age: {type: Number},
+    }, {forceId: false});
+    db.automigrate(done);
+  });
+
+  afterEach(function(done) {
+    ChangesUser.removeAllListeners('changed');
+    ChangesUser.removeAllListeners('deleted');
+    ChangesUser.destroyAll(done);
+  });
+
+  it('reads the normal feed since a sequence', function(done) {
+    ChangesUser.create([{name: 'a', age: 10}, {name: 'b', age: 30}],
+      function(err) {
+        if (err) return done(err);
+        var changes = [];
+        var feed = db.connector.watch('ChangesUser', {
+          feed: 'normal',
+          since: 0,
+          where: {age: {gt: 20}},
+          deleted: false,
+        }, function(err, change) {
+          if (err) return done(err);
+          changes.push(change);
+        });
+        feed.on('stop', function() {
+          changes.length.should.equal(1);
+          changes[0].deleted.should.be.false();
+          changes[0].data.name.should.equal('b');
+          changes[0].data.age.should.equal(30);
+          changes[0].should.have.property('rev');
+          changes[0].id.should.equal(changes[0].data.id);
+          done();
+        });
+      });
+  });
+
+  it('emits model events from the continuous feed', function(done) {
+    var feed = db.connector.watch('ChangesUser', {heartbeat: 1000});
+    ChangesUser.on('changed', function(inst) {
+      inst.should.be.instanceOf(ChangesUser);
+      inst.name.should.equal('c');
+      inst.destroy(function(err) {
+        if (err) return done(err);
+      });
+    });
+    ChangesUser.on('deleted', function(id) {
+      feed.stop();
+      id.should.be.a.String();
+      done();
+    });
+    // give the feed time to connect, it starts from 'now'
+    setTimeout(function() {
+      ChangesUser.create({name: 'c', age: 40}, function(err) {
+        if (err) return done(err);
+      });
+    }, 500);
+  });
+
+  it('polls the longpoll feed', function(done) {
+    var feed = db.connector.watch('ChangesUser',
+      {feed: 'longpoll', timeout: 1000, modelEvents: false},
+      function(err, change) {
+        if (err) return done(err);
+        feed.stop();
+        change.data.name.should.equal('d');
+        done();
+      });
+    setTimeout(function() {
+      ChangesUser.create({name: 'd', age: 50}, function(err) {
+        if (err) return done(err);
+      });
+    }, 500);
+  });
+
+  it('leaves out the deletions of other models', function(done) {
+    var Other = db.define('OtherChangesUser', {name: {type: String}});
+    ChangesUser.create({name: 'e'}, function(err, user) {
+      if (err) return done(err);
+      Other.create({name: 'f'}, function(err, other) {
+        if (err) return done(err);
+        other.destroy(function(err) {
+          if (err) return done(err);
+          user.destroy(function(err) {
+            if (err) return done(err);
+            var deleted = [];
+            var feed = db.connector.watch('ChangesUser',
+              {feed: 'normal', since: 0, modelEvents: false},
+              function(err, change) {
+                if (err) return done(err);
+                if (change.deleted) deleted.push(change.id);
+              });
+            feed.on('stop', function() {
+              deleted.should.containEql(user.id);
+              deleted.should.not.containEql(other.id);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('rejects an unknown feed type', function() {
+    (function() {
+      db.connector.watch('ChangesUser', {feed: 'eventsource'});
+    }).should.throw(/Invalid changes feed/);
+  });
+});
@@ -51,6 +51,49 @@ describe('count', function() {
     });
   });
 
+  it('counts instances matching a where filter', (done) => {
+    TestCountUser.count({name: {inq: ['user1', 'user2', 'user3']}}, (err, r) => {
+      if (err) return done(err);
+      r.should.equal(3);
+      done();
+    });
+  });
+
+  it('maintains a count view for the model', (done) => {
+    const connector = db.connector;
+    const mo = connector.selectModel('TestCountUser');
+    mo.db.get('_design/LBModel__TestCountUser__LBCount', (err, ddoc) => {
+      if (err) return done(err);
+      ddoc.views.count.reduce.should.equal('_count');
+      done();
+    });
+  });
+
+  it('skips the rows of the bookmark pages without bookmark', (done) => {
+    const mo = db.connector.selectModel('TestCountUser');
+    const rows = ['a', 'b', 'c', 'd', 'e'].map((id) => ({_id: id}));
+    const find = global.sinon.stub(mo.db, 'find', (query, cb) => {
+      // a bookmark for the first page only
+      const skip = query.bookmark ? 2 : query.skip || 0;
+      const bookmark = (query.bookmark || skip > 0) ? 'nil' : 'b1';
+      process.nextTick(cb, null, {
+        docs: rows.slice(skip, skip + query.limit),
+        bookmark: bookmark,
+      });
+    });
+    const ids = [];
+    db.connector._eachPage(mo, {selector: {}}, 2, (docs, next) => {
+      ids.push.apply(ids, _.map(docs, '_id'));
+      next();
+    }, (err) => {
+      find.restore();
+      if (err) return done(err);
+      ids.should.eql(['a', 'b', 'c', 'd', 'e']);
+      find.args[2][0].skip.should.equal(4);
+      done();
+    });
+  });
+
   it('destroys more than 25 results with global limit set', (done) => {
     cleanUpData((err)=> {
       if (err) return done(err);
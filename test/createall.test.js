@@ -0,0 +1,99 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var should = require('should');
+var db, connector, Item, mo;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('createAll', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    Item = db.define('BulkItem', {
+      id: {type: String, id: true},
+      name: {type: String},
+    }, {forceId: false});
+    db.automigrate('BulkItem', function(err) {
+      if (err) return done(err);
+      mo = connector.selectModel('BulkItem');
+      Item.create({id: 'taken', name: 'x'}, done);
+    });
+  });
+
+  after(function(done) {
+    Item.destroyAll(done);
+  });
+
+  it('creates the instances with one request', function(done) {
+    var spy = global.sinon.spy(mo.db, 'bulk');
+    var data = [{name: 'a'}, {id: 'b1', name: 'b'}];
+    connector.createAll('BulkItem', data, {}, function(err, results) {
+      spy.restore();
+      if (err) return done(err);
+      spy.calledOnce.should.be.true();
+      results.map(function(result) {
+        return result.ok;
+      }).should.eql([true, true]);
+      should.exist(data[0].id);
+      data[0].id.should.equal(results[0].id);
+      results[1].id.should.equal('b1');
+      Item.findById(data[0].id, function(err, item) {
+        if (err) return done(err);
+        item.name.should.equal('a');
+        done();
+      });
+    });
+  });
+
+  it('reports the failed documents', function(done) {
+    var data = [{id: 'c1', name: 'c'}, {id: 'taken', name: 'd'}];
+    connector.createAll('BulkItem', data, {}, function(err, results) {
+      if (err) return done(err);
+      results[0].ok.should.be.true();
+      results[1].ok.should.be.false();
+      results[1].id.should.equal('taken');
+      results[1].error.statusCode.should.equal(409);
+      results[1].error.code.should.equal('CONFLICT');
+      done();
+    });
+  });
+
+  it('deletes the created documents with allOrNothing', function(done) {
+    var data = [{name: 'e'}, {id: 'taken', name: 'f'}];
+    connector.createAll('BulkItem', data, {allOrNothing: true}, function(err) {
+      should.exist(err);
+      err.name.should.equal('BulkWriteError');
+      err.statusCode.should.equal(409);
+      err.failures.map(function(failure) {
+        return failure.index;
+      }).should.eql([1]);
+      err.results[0].rolledBack.should.be.true();
+      should.not.exist(data[0].id);
+      Item.count({name: 'e'}, function(err, count) {
+        if (err) return done(err);
+        count.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  it('writes in chunks', function(done) {
+    var spy = global.sinon.spy(mo.db, 'bulk');
+    var data = [{name: 'g'}, {name: 'h'}, {name: 'i'}];
+    connector.createAll('BulkItem', data, {chunkSize: 2},
+      function(err, results) {
+        spy.restore();
+        if (err) return done(err);
+        spy.callCount.should.equal(2);
+        results.should.have.length(3);
+        done();
+      });
+  });
+});
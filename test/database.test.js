@@ -0,0 +1,129 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var should = require('should');
+var async = require('async');
+var _ = require('lodash');
+var db, connector, driver;
+var DB_NAME = 'loopback-connector-couchdb2-created';
+var MODEL_DB_NAME = 'loopback-connector-couchdb2-created-model';
+var TENANT_DB_NAME = 'loopback-connector-couchdb2-created-tenant';
+var VIEWS_DB_NAME = 'loopback-connector-couchdb2-created-views';
+var FEED_DB_NAME = 'loopback-connector-couchdb2-created-feed';
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('database lifecycle', function() {
+  before(function(done) {
+    var config = _.assign({}, global.config, {
+      database: DB_NAME,
+      createDatabase: {q: 2},
+    });
+    db = global.getDataSource(config);
+    connector = db.connector;
+    db.connect(function(err) {
+      if (err) return done(err);
+      driver = connector.getDriverInst();
+      done();
+    });
+  });
+
+  after(function(done) {
+    async.eachSeries([DB_NAME, MODEL_DB_NAME, TENANT_DB_NAME, VIEWS_DB_NAME,
+      FEED_DB_NAME], function(dbName, cb) {
+      driver.db.destroy(dbName, function() {
+        cb();
+      });
+    }, done);
+  });
+
+  it('creates the datasource database on connect', function(done) {
+    driver.db.get(DB_NAME, done);
+  });
+
+  it('creates the model database on automigrate', function(done) {
+    db.define('CreatedItem', {name: String}, {
+      couchdb: {database: MODEL_DB_NAME},
+    });
+    db.automigrate('CreatedItem', function(err) {
+      if (err) return done(err);
+      driver.db.get(MODEL_DB_NAME, done);
+    });
+  });
+
+  it('creates the database on first use', function(done) {
+    db.define('TenantItem', {name: String}, {
+      couchdb: {database: TENANT_DB_NAME},
+    });
+    var TenantItem = db.models.TenantItem;
+    TenantItem.create({name: 'a'}, function(err) {
+      if (err) return done(err);
+      TenantItem.count(function(err, count) {
+        if (err) return done(err);
+        count.should.equal(1);
+        done();
+      });
+    });
+  });
+
+  it('creates the database on the first request', function(done) {
+    db.define('ViewedItem', {name: String}, {
+      couchdb: {database: VIEWS_DB_NAME},
+    });
+    var mo = connector.selectModel('ViewedItem');
+    connector.getModelViews(mo, function(err, views) {
+      if (err) return done(err);
+      views.should.eql({});
+      driver.db.get(VIEWS_DB_NAME, done);
+    });
+  });
+
+  it('creates the database before watching it', function(done) {
+    db.define('WatchedItem', {name: String}, {
+      couchdb: {database: FEED_DB_NAME},
+    });
+    var feed = connector.watch('WatchedItem', {feed: 'normal', since: 0});
+    feed.on('error', done);
+    feed.on('stop', function() {
+      driver.db.get(FEED_DB_NAME, done);
+    });
+  });
+
+  it('passes the creation options', function(done) {
+    var stub = global.sinon.stub(driver, 'request', function(req, cb) {
+      stub.restore();
+      req.should.eql({
+        db: 'tenant-42',
+        method: 'put',
+        qs: {q: 2, partitioned: true},
+      });
+      process.nextTick(cb, null, {ok: true});
+    });
+    connector.createDatabase('tenant-42', {q: 2, n: null, partitioned: true},
+      done);
+  });
+
+  it('lists and drops the databases', function(done) {
+    connector.listDatabases(function(err, dbNames) {
+      if (err) return done(err);
+      dbNames.should.containEql(TENANT_DB_NAME);
+      dbNames.forEach(function(dbName) {
+        dbName.charAt(0).should.not.equal('_');
+      });
+      connector.dropDatabase(TENANT_DB_NAME, function(err) {
+        if (err) return done(err);
+        driver.db.get(TENANT_DB_NAME, function(err) {
+          should.exist(err);
+          err.statusCode.should.equal(404);
+          done();
+        });
+      });
+    });
+  });
+});
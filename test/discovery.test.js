@@ -0,0 +1,95 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var async = require('async');
+var db, driver;
+var DB_NAME = 'loopback-connector-couchdb2-discovery';
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('discovery', function() {
+  /* eslint camelcase: ["error", {properties: "never"}] */
+  before(function(done) {
+    db = global.getDataSource();
+    driver = db.connector.getDriverInst();
+    var docs = [
+      {_id: 'c1', loopback__model__name: 'Customer', name: 'Ann',
+        since: '2019-03-01T10:00:00.000Z', vip: true,
+        address: {city: 'Leeds', zip: 'LS1'}, tags: ['a', 'b']},
+      {_id: 'c2', loopback__model__name: 'Customer', name: 'Bob',
+        since: '2019-04-01T10:00:00.000Z', vip: false,
+        address: {city: 'York'}, tags: []},
+      {_id: 'o1', loopback__model__name: 'Order', total: 10},
+      {_id: 'legacy1', kind: 'invoice', amount: 5},
+    ];
+    async.series([
+      function(cb) {
+        driver.db.create(DB_NAME, cb);
+      },
+      function(cb) {
+        driver.use(DB_NAME).bulk({docs: docs}, cb);
+      },
+      function(cb) {
+        db.connector.createIndex('LBModel__Customer__LBIndex__name_index',
+          'name_index', [{name: 'asc'}, {loopback__model__name: 'asc'}],
+          {db: DB_NAME}, cb);
+      },
+    ], done);
+  });
+
+  after(function(done) {
+    driver.db.destroy(DB_NAME, done);
+  });
+
+  it('discovers the models by discriminator', function(done) {
+    db.discoverModelDefinitions({owner: DB_NAME}, function(err, models) {
+      if (err) return done(err);
+      models.map(function(model) {
+        return [model.name, model.count];
+      }).should.eql([['Customer', 2], ['Order', 1], [DB_NAME, 1]]);
+      models[0].type.should.equal('table');
+      models[0].owner.should.equal(DB_NAME);
+      done();
+    });
+  });
+
+  it('infers the schema from sampled documents', function(done) {
+    db.discoverSchema('Customer', {owner: DB_NAME}, function(err, schema) {
+      if (err) return done(err);
+      schema.name.should.equal('Customer');
+      schema.options.couchdb.should.eql({database: DB_NAME});
+      var props = schema.properties;
+      props.id.should.eql({type: 'String', id: true, required: true});
+      props.name.should.eql({type: 'String', required: true});
+      props.since.should.eql({type: 'Date', required: true});
+      props.vip.should.eql({type: 'Boolean', required: true});
+      props.address.should.eql({type: {
+        city: {type: 'String', required: true},
+        zip: {type: 'String'},
+      }, required: true});
+      props.tags.should.eql({type: ['String'], required: true});
+      props.should.not.have.property('loopback__model__name');
+      schema.indexes.should.eql({name_index: {keys: {name: 1}}});
+      done();
+    });
+  });
+
+  it('selects the documents without discriminator', function(done) {
+    db.discoverSchema(DB_NAME, {owner: DB_NAME}, function(err, schema) {
+      if (err) return done(err);
+      schema.options.couchdb.modelSelector.should.eql({
+        loopback__model__name: {$exists: false},
+      });
+      schema.properties.kind.should.eql({type: 'String', required: true});
+      schema.properties.amount.should.eql({type: 'Number', required: true});
+      done();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var _ = require('lodash');
+var db, connector, Item;
+var DB_NAME = 'loopback-connector-couchdb2-exists';
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('exists', function() {
+  /* eslint camelcase: ["error", {properties: "never"}] */
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    Item = db.define('ExistingItem', {
+      id: {type: String, id: true},
+      name: {type: String},
+    }, {forceId: false});
+    db.automigrate('ExistingItem', function(err) {
+      if (err) return done(err);
+      var mo = connector.selectModel('ExistingItem');
+      mo.db.insert({_id: 'other1', loopback__model__name: 'OtherItem'},
+        function(err) {
+          if (err) return done(err);
+          Item.create({id: 'i1', name: 'a'}, done);
+        });
+    });
+  });
+
+  it('checks the document without query', function(done) {
+    var mo = connector.selectModel('ExistingItem');
+    var stub = global.sinon.stub(mo.db, 'find', function(query, cb) {
+      process.nextTick(cb, new Error('unexpected query'));
+    });
+    connector.exists('ExistingItem', 'i1', {}, function(err, count) {
+      stub.restore();
+      if (err) return done(err);
+      count.should.equal(1);
+      done();
+    });
+  });
+
+  it('reads the document with one request', function(done) {
+    var mo = connector.selectModel('ExistingItem');
+    var headSpy = global.sinon.spy(mo.db, 'head');
+    var getSpy = global.sinon.spy(mo.db, 'get');
+    connector.exists('ExistingItem', 'i1', {}, function(err, count) {
+      headSpy.restore();
+      getSpy.restore();
+      if (err) return done(err);
+      count.should.equal(1);
+      headSpy.called.should.be.false();
+      getSpy.calledOnce.should.be.true();
+      done();
+    });
+  });
+
+  it('returns 0 for a missing document', function(done) {
+    connector.exists('ExistingItem', 'missing', {}, function(err, count) {
+      if (err) return done(err);
+      count.should.equal(0);
+      done();
+    });
+  });
+
+  it('returns 0 for a document of another model', function(done) {
+    connector.exists('ExistingItem', 'other1', {}, function(err, count) {
+      if (err) return done(err);
+      count.should.equal(0);
+      done();
+    });
+  });
+
+  describe('with dbSwitching', function() {
+    var switchingDb, driver;
+
+    before(function(done) {
+      switchingDb = global.getDataSource(_.assign({}, global.config, {
+        dbSwitching: true,
+      }));
+      switchingDb.define('SwitchedItem', {
+        id: {type: String, id: true},
+      }, {forceId: false});
+      switchingDb.connect(function(err) {
+        if (err) return done(err);
+        driver = switchingDb.connector.getDriverInst();
+        driver.db.create(DB_NAME, function(err) {
+          if (err) return done(err);
+          driver.use(DB_NAME).insert({
+            _id: 's1',
+            loopback__model__name: 'SwitchedItem',
+          }, done);
+        });
+      });
+    });
+
+    after(function(done) {
+      driver.db.destroy(DB_NAME, done);
+    });
+
+    it('reads the database of the options', function(done) {
+      switchingDb.connector.exists('SwitchedItem', 's1', {db: DB_NAME},
+        function(err, count) {
+          if (err) return done(err);
+          count.should.equal(1);
+          done();
+        });
+    });
+  });
+});
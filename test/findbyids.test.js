@@ -0,0 +1,107 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var db, connector, Item, mo, findStub;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('find by ids', function() {
+  /* eslint camelcase: ["error", {properties: "never"}] */
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    Item = db.define('IdsItem', {
+      id: {type: Number, id: true},
+      name: {type: String},
+      rank: {type: Number},
+    }, {forceId: false});
+    db.automigrate('IdsItem', function(err) {
+      if (err) return done(err);
+      mo = connector.selectModel('IdsItem');
+      Item.create([
+        {id: 1, name: 'a', rank: 3},
+        {id: 2, name: 'b', rank: 1},
+        {id: 3, name: 'c', rank: 2},
+      ], function(err) {
+        if (err) return done(err);
+        mo.db.insert({_id: '4', loopback__model__name: 'OtherItem'}, done);
+      });
+    });
+  });
+
+  after(function(done) {
+    Item.destroyAll(function(err) {
+      if (err) return done(err);
+      mo.db.get('4', function(err, doc) {
+        if (err) return done(err);
+        mo.db.destroy(doc._id, doc._rev, done);
+      });
+    });
+  });
+
+  beforeEach(function() {
+    findStub = global.sinon.stub(mo.db, 'find', function(query, cb) {
+      process.nextTick(cb, new Error('unexpected _find'));
+    });
+  });
+
+  afterEach(function() {
+    findStub.restore();
+  });
+
+  it('reads the ids in their order with _all_docs', function(done) {
+    Item.find({where: {id: {inq: [3, 1, 2]}}}, function(err, items) {
+      if (err) return done(err);
+      items.map(function(item) {
+        return item.id;
+      }).should.eql([3, 1, 2]);
+      items[0].name.should.equal('c');
+      done();
+    });
+  });
+
+  it('leaves out missing ids and documents of other models', function(done) {
+    Item.findByIds([2, 4, 5], function(err, items) {
+      if (err) return done(err);
+      items.map(function(item) {
+        return item.id;
+      }).should.eql([2]);
+      done();
+    });
+  });
+
+  it('applies order, limit and fields', function(done) {
+    Item.find({
+      where: {id: {inq: [1, 2, 3]}},
+      order: 'rank DESC',
+      limit: 2,
+      fields: ['id', 'rank'],
+    }, function(err, items) {
+      if (err) return done(err);
+      items.map(function(item) {
+        return [item.id, item.rank, item.name];
+      }).should.eql([[1, 3, undefined], [3, 2, undefined]]);
+      done();
+    });
+  });
+
+  it('queries the other filters with _find', function(done) {
+    findStub.restore();
+    var stub = findStub = global.sinon.spy(mo.db, 'find');
+    Item.find({where: {name: {inq: ['a', 'x']}}}, function(err, items) {
+      if (err) return done(err);
+      stub.called.should.be.true();
+      items.map(function(item) {
+        return item.id;
+      }).should.eql([1]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var db, Post;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('bookmark pagination', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Post = db.define('PagedPost', {
+      title: {type: String},
+      rank: {type: Number, index: true},
+    }, {forceId: false});
+    db.automigrate(function(err) {
+      if (err) return done(err);
+      var posts = [];
+      for (var i = 0; i < 5; i++) posts.push({title: 'post' + i, rank: i});
+      Post.create(posts, done);
+    });
+  });
+
+  after(function(done) {
+    Post.destroyAll(done);
+  });
+
+  function ranks(posts) {
+    return posts.map(function(post) {
+      return post.rank;
+    });
+  }
+
+  it('pages through findPage with the returned bookmark', function(done) {
+    var filter = {where: {rank: {gte: 0}}, order: 'rank', limit: 2};
+    var seen = [];
+    (function next(bookmark) {
+      db.connector.findPage('PagedPost', Object.assign({bookmark: bookmark},
+        filter), {}, function(err, page) {
+        if (err) return done(err);
+        seen = seen.concat(ranks(page.data));
+        if (page.hasMore) return next(page.bookmark);
+        seen.should.eql([0, 1, 2, 3, 4]);
+        done();
+      });
+    })();
+  });
+
+  it('returns the bookmark of find through options.pageInfo',
+    function(done) {
+      var pageInfo = {};
+      Post.find({where: {rank: {gte: 0}}, order: 'rank', limit: 3},
+        {pageInfo: pageInfo}, function(err, posts) {
+          if (err) return done(err);
+          ranks(posts).should.eql([0, 1, 2]);
+          pageInfo.hasMore.should.be.true();
+          pageInfo.bookmark.should.be.a.String();
+          Post.find({where: {rank: {gte: 0}}, order: 'rank', limit: 3,
+            bookmark: pageInfo.bookmark}, {pageInfo: pageInfo},
+          function(err, posts) {
+            if (err) return done(err);
+            ranks(posts).should.eql([3, 4]);
+            pageInfo.hasMore.should.be.false();
+            done();
+          });
+        });
+    });
+
+  it('resolves findPage without callback', function() {
+    return db.connector.findPage('PagedPost', {where: {rank: {gte: 0}}})
+      .then(function(page) {
+        page.data.should.have.length(5);
+        page.hasMore.should.be.false();
+      });
+  });
+});
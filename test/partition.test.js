@@ -0,0 +1,222 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var should = require('should');
+var db, connector, Order, request;
+var DB_NAME = 'loopback-connector-couchdb2-partitioned';
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('partitioned database', function() {
+  // partitioned databases are new in CouchDB 3
+  before(function(done) {
+    var self = this;
+    db = global.getDataSource();
+    connector = db.connector;
+    connector.getDriverInst().request({method: 'get'}, function(err, info) {
+      if (err) return done(err);
+      if (parseInt(info.version, 10) < 3) return self.skip();
+      setup(done);
+    });
+  });
+
+  function setup(done) {
+    Order = db.define('PartitionedOrder', {
+      tenant: {type: String},
+      total: {type: Number, index: true},
+    }, {forceId: false, couchdb: {
+      database: DB_NAME,
+      partitionKey: 'tenant',
+      views: {byTenant: {
+        map: 'function(doc) { if (doc.tenant) emit(doc.tenant, 1); }',
+        reduce: '_count',
+      }},
+    }});
+    connector.getDriverInst().request({
+      db: DB_NAME,
+      method: 'put',
+      qs: {partitioned: true},
+    }, function(err) {
+      if (err) return done(err);
+      db.automigrate('PartitionedOrder', done);
+    });
+  }
+
+  after(function(done) {
+    if (!Order) return done();
+    connector.getDriverInst().request({db: DB_NAME, method: 'delete'}, done);
+  });
+
+  beforeEach(function() {
+    request = global.sinon.spy(connector.getDriverInst(), 'request');
+  });
+
+  afterEach(function(done) {
+    request.restore();
+    Order.destroyAll(done);
+  });
+
+  function findRequests() {
+    return request.args.map(function(args) {
+      return args[0].path;
+    }).filter(function(path) {
+      return /_find$/.test(path);
+    });
+  }
+
+  it('creates partitioned and global indexes', function(done) {
+    connector.getIndexes(DB_NAME, function(err, result) {
+      if (err) return done(err);
+      function findIndex(name) {
+        return result.indexes.find(function(index) {
+          return index.name === name;
+        });
+      }
+      var partitioned = findIndex('total_index');
+      partitioned.partitioned.should.be.true();
+      var global = findIndex('total_index__global');
+      global.partitioned.should.be.false();
+      global.def.fields.should.eql(partitioned.def.fields);
+      done();
+    });
+  });
+
+  it('generates partition ids', function(done) {
+    Order.create({tenant: 'acme', total: 10}, function(err, order) {
+      if (err) return done(err);
+      order.id.should.startWith('acme:');
+      Order.findById(order.id, function(err, found) {
+        if (err) return done(err);
+        found.tenant.should.equal('acme');
+        done();
+      });
+    });
+  });
+
+  it('prefixes ids without partition', function(done) {
+    Order.create({id: 'order1', tenant: 'acme', total: 10},
+      function(err, order) {
+        if (err) return done(err);
+        order.id.should.equal('acme:order1');
+        connector.parsePartitionId(order.id).should.eql({
+          partition: 'acme',
+          key: 'order1',
+        });
+        done();
+      });
+  });
+
+  it('requires the partition key', function(done) {
+    Order.create({total: 10}, function(err) {
+      err.statusCode.should.equal(400);
+      err.code.should.equal('PARTITION_REQUIRED');
+      done();
+    });
+  });
+
+  it('rejects the ids of another partition', function(done) {
+    Order.create({id: 'other:order1', tenant: 'acme', total: 10},
+      function(err) {
+        should.exist(err);
+        err.statusCode.should.equal(400);
+        err.code.should.equal('PARTITION_MISMATCH');
+        connector.createAll('PartitionedOrder', [
+          {id: 'acme:order2', tenant: 'acme', total: 10},
+          {id: 'order:3', tenant: 'acme', total: 20},
+        ], {}, function(err, results) {
+          if (err) return done(err);
+          results[0].ok.should.be.true();
+          results[1].ok.should.be.false();
+          results[1].error.code.should.equal('PARTITION_MISMATCH');
+          done();
+        });
+      });
+  });
+
+  it('queries the partition pinned by the where filter', function(done) {
+    Order.create([
+      {tenant: 'acme', total: 10},
+      {tenant: 'acme', total: 20},
+      {tenant: 'other', total: 30},
+    ], function(err) {
+      if (err) return done(err);
+      request.reset();
+      Order.find({where: {and: [{tenant: 'acme'}, {total: {gt: 15}}]}},
+        function(err, orders) {
+          if (err) return done(err);
+          orders.should.have.length(1);
+          orders[0].total.should.equal(20);
+          Order.count({tenant: 'acme'}, function(err, count) {
+            if (err) return done(err);
+            count.should.equal(2);
+            findRequests().should.not.be.empty();
+            findRequests().forEach(function(path) {
+              path.should.equal('_partition/acme/_find');
+            });
+            done();
+          });
+        });
+    });
+  });
+
+  it('queries the global views of the connector', function(done) {
+    Order.create([
+      {tenant: 'acme', total: 10},
+      {tenant: 'other', total: 30},
+    ], function(err) {
+      if (err) return done(err);
+      Order.count(function(err, count) {
+        if (err) return done(err);
+        count.should.equal(2);
+        connector.aggregate('PartitionedOrder', {metrics: {sum: 'total'}},
+          function(err, rows) {
+            if (err) return done(err);
+            rows.should.eql([{sum: {total: 40}}]);
+            Order.queryView('byTenant', {group: true}, function(err, rows) {
+              if (err) return done(err);
+              rows.should.eql([{key: 'acme', value: 1},
+                {key: 'other', value: 1}]);
+              done();
+            });
+          });
+      });
+    });
+  });
+
+  it('explains the queries of the partition', function(done) {
+    var mo = connector.selectModel('PartitionedOrder');
+    var relax = global.sinon.stub(connector.getDriverInst(), 'relax',
+      function(req, cb) {
+        process.nextTick(cb, null, {index: {}});
+      });
+    mo.explain = true;
+    Order.find({where: {tenant: 'acme'}}, function(err) {
+      delete mo.explain;
+      relax.restore();
+      if (err) return done(err);
+      relax.args[0][0].path.should.equal('_partition/acme/_explain');
+      done();
+    });
+  });
+
+  it('queries the whole database without partition', function(done) {
+    Order.create({tenant: 'acme', total: 10}, function(err) {
+      if (err) return done(err);
+      request.reset();
+      Order.find({where: {total: 10}}, function(err, orders) {
+        if (err) return done(err);
+        orders.should.have.length(1);
+        findRequests().forEach(function(path) {
+          path.should.not.startWith('_partition/');
+        });
+        done();
+      });
+    });
+  });
+});
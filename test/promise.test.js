@@ -0,0 +1,82 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var db, connector;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('promise api', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    db.define('PromiseUser', {
+      name: {type: String},
+    }, {forceId: false});
+    db.automigrate(done);
+  });
+
+  after(function() {
+    return connector.destroyAll('PromiseUser', {}, {});
+  });
+
+  it('resolves create with the id and revision', function() {
+    return connector.create('PromiseUser', {name: 'Foo'}, {})
+      .then(function(result) {
+        result.should.have.length(2);
+        result[0].should.be.a.String();
+        result[1].should.startWith('1-');
+      });
+  });
+
+  it('resolves queries without options', function() {
+    return connector.all('PromiseUser', {where: {name: 'Foo'}})
+      .then(function(users) {
+        users.should.have.length(1);
+        users[0].name.should.equal('Foo');
+        return connector.count('PromiseUser', {});
+      })
+      .then(function(count) {
+        count.should.equal(1);
+      });
+  });
+
+  it('resolves connector specific helpers', function() {
+    return connector.getIndexes(connector.getDbName(connector))
+      .then(function(result) {
+        result.should.have.property('indexes');
+        return connector.all('PromiseUser', {where: {name: 'Foo'}});
+      })
+      .then(function(users) {
+        return connector.bulkReplace('PromiseUser', [
+          {id: users[0].id, _rev: users[0]._rev, name: 'Bar'},
+        ]);
+      })
+      .then(function(result) {
+        result[0].ok.should.be.true();
+      });
+  });
+
+  it('rejects with the callback error', function() {
+    return connector.getCurrentRevision('PromiseUser', 'missing-id')
+      .then(function() {
+        throw new Error('expected a rejection');
+      }, function(err) {
+        err.statusCode.should.equal(404);
+      });
+  });
+
+  it('keeps the callback behaviour', function(done) {
+    connector.count('PromiseUser', {}, {}, function(err, count) {
+      if (err) return done(err);
+      count.should.equal(1);
+      done();
+    });
+  });
+});
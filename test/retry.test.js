@@ -0,0 +1,109 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var db, Task, mo;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('retryOnConflict', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Task = db.define('RetryTask', {
+      name: {type: String},
+      status: {type: String},
+      attempts: {type: Number},
+    }, {forceId: false, couchdb: {retryOnConflict: {retries: 2, backoff: 10}}});
+    db.automigrate(function(err) {
+      if (err) return done(err);
+      mo = db.connector.selectModel('RetryTask');
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    Task.destroyAll(done);
+  });
+
+  // another worker writes the document right before the next write
+  function raceBefore(method, id, change) {
+    var original = mo.db[method];
+    var stub = global.sinon.stub(mo.db, method, function() {
+      var args = arguments;
+      stub.restore();
+      mo.db.get(id, function(err, doc) {
+        if (err) throw err;
+        change(doc);
+        mo.db.insert(doc, function(err) {
+          if (err) throw err;
+          original.apply(mo.db, args);
+        });
+      });
+    });
+  }
+
+  it('retries updateAttributes with a merge function', function(done) {
+    Task.create({name: 'count', attempts: 0}, function(err, task) {
+      if (err) return done(err);
+      raceBefore('insert', task.id, function(doc) {
+        doc.attempts = 5;
+      });
+      var options = {retryOnConflict: {
+        merge: function(current, patch) {
+          current.attempts += patch.attempts;
+          return current;
+        },
+      }};
+      db.connector.updateAttributes('RetryTask', task.id, {attempts: 1},
+        options, function(err, updated) {
+          if (err) return done(err);
+          updated.attempts.should.equal(6);
+          done();
+        });
+    });
+  });
+
+  it('retries updateAll on documents still matching the filter',
+    function(done) {
+      Task.create([
+        {name: 'a', status: 'pending'},
+        {name: 'b', status: 'pending'},
+      ], function(err, tasks) {
+        if (err) return done(err);
+        raceBefore('bulk', tasks[1].id, function(doc) {
+          doc.status = 'taken';
+        });
+        Task.updateAll({status: 'pending'}, {status: 'mine'},
+          function(err, info) {
+            if (err) return done(err);
+            info.count.should.equal(1);
+            Task.findById(tasks[1].id, function(err, task) {
+              if (err) return done(err);
+              task.status.should.equal('taken');
+              done();
+            });
+          });
+      });
+    });
+
+  it('reports the conflict when retries are disabled', function(done) {
+    Task.create({name: 'c', status: 'pending'}, function(err, task) {
+      if (err) return done(err);
+      raceBefore('insert', task.id, function(doc) {
+        doc.status = 'taken';
+      });
+      db.connector.updateAttributes('RetryTask', task.id,
+        {status: 'mine', _rev: task._rev}, {retryOnConflict: false},
+        function(err) {
+          err.statusCode.should.equal(409);
+          done();
+        });
+    });
+  });
+});
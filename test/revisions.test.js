@@ -0,0 +1,160 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var ConflictError = require('../lib/couchdb').ConflictError;
+var db, Product, product;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('strictRevisions', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Product = db.define('StrictRevProduct', {
+      name: {type: String},
+      _rev: {type: String},
+    }, {forceId: false, couchdb: {strictRevisions: true}});
+    db.automigrate(done);
+  });
+
+  beforeEach(function(done) {
+    Product.create({name: 'first'}, function(err, inst) {
+      product = inst;
+      done(err);
+    });
+  });
+
+  afterEach(function(done) {
+    Product.destroyAll(done);
+  });
+
+  function updated(cb) {
+    Product.updateAll({id: product.id}, {name: 'second'}, function(err) {
+      if (err) return cb(err);
+      Product.findById(product.id, cb);
+    });
+  }
+
+  function assertConflict(err, current) {
+    err.should.be.instanceOf(ConflictError);
+    err.statusCode.should.equal(409);
+    err.code.should.equal('CONFLICT');
+    err.currentRevision.should.equal(current._rev);
+  }
+
+  it('rejects updateAttributes with a stale revision', function(done) {
+    var staleRev = product._rev;
+    updated(function(err, current) {
+      if (err) return done(err);
+      Product.findById(product.id, function(err, inst) {
+        if (err) return done(err);
+        inst.updateAttributes({name: 'third', _rev: staleRev}, function(err) {
+          assertConflict(err, current);
+          done();
+        });
+      });
+    });
+  });
+
+  it('accepts updateAttributes with the current revision', function(done) {
+    product.updateAttributes({name: 'third', _rev: product._rev},
+      function(err, inst) {
+        if (err) return done(err);
+        inst.name.should.equal('third');
+        done();
+      });
+  });
+
+  it('rejects replaceById with a stale revision', function(done) {
+    var staleRev = product._rev;
+    updated(function(err, current) {
+      if (err) return done(err);
+      Product.replaceById(product.id, {name: 'third', _rev: staleRev},
+        function(err) {
+          assertConflict(err, current);
+          done();
+        });
+    });
+  });
+
+  it('rejects updateAll with a stale revision', function(done) {
+    var staleRev = product._rev;
+    updated(function(err, current) {
+      if (err) return done(err);
+      Product.updateAll({id: product.id}, {name: 'third', _rev: staleRev},
+        function(err) {
+          assertConflict(err, current);
+          done();
+        });
+    });
+  });
+
+  it('rejects destroyById with a stale revision', function(done) {
+    var staleRev = product._rev;
+    updated(function(err, current) {
+      if (err) return done(err);
+      Product.destroyById(product.id, {rev: staleRev}, function(err) {
+        assertConflict(err, current);
+        Product.count(function(err, count) {
+          if (err) return done(err);
+          count.should.equal(1);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('with several instances', function() {
+    var first;
+
+    beforeEach(function(done) {
+      Product.create([
+        {id: 'strict-a', name: 'batch'},
+        {id: 'strict-b', name: 'batch'},
+      ], function(err, insts) {
+        first = insts && insts[0];
+        done(err);
+      });
+    });
+
+    it('checks every revision before updateAll writes', function(done) {
+      Product.updateAll({name: 'batch'}, {name: 'third', _rev: first._rev},
+        {chunkSize: 1}, function(err) {
+          err.should.be.instanceOf(ConflictError);
+          err.id.should.equal('strict-b');
+          Product.count({name: 'batch'}, function(err, count) {
+            if (err) return done(err);
+            count.should.equal(2);
+            done();
+          });
+        });
+    });
+
+    it('checks every revision before destroyAll writes', function(done) {
+      Product.destroyAll({name: 'batch'}, {rev: first._rev, chunkSize: 1},
+        function(err) {
+          err.should.be.instanceOf(ConflictError);
+          err.id.should.equal('strict-b');
+          Product.count({name: 'batch'}, function(err, count) {
+            if (err) return done(err);
+            count.should.equal(2);
+            done();
+          });
+        });
+    });
+  });
+
+  it('deletes with the current revision', function(done) {
+    Product.destroyById(product.id, {rev: product._rev}, function(err, info) {
+      if (err) return done(err);
+      info.count.should.equal(1);
+      done();
+    });
+  });
+});
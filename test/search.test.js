@@ -0,0 +1,101 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var db, connector, Product, mo;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('search', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    Product = db.define('SearchProduct', {
+      name: {type: String},
+      brand: {type: String},
+      price: {type: Number},
+    }, {forceId: false, couchdb: {searchIndexes: {
+      products: {fields: ['name', {brand: {facet: true}}]},
+    }}});
+    db.automigrate('SearchProduct', function(err) {
+      if (err) return done(err);
+      mo = connector.selectModel('SearchProduct');
+      done();
+    });
+  });
+
+  it('creates the declared search indexes', function(done) {
+    mo.db.get('_design/LBModel__SearchProduct__LBSearch', function(err, ddoc) {
+      if (err) return done(err);
+      ddoc.indexes.products.analyzer.should.equal('standard');
+      ddoc.indexes.products.index.should.containEql('index("name", value');
+      ddoc.indexes.products.index.should.containEql('{"facet":true}');
+      done();
+    });
+  });
+
+  it('returns converted instances with facets and highlights',
+    function(done) {
+      /* eslint-disable camelcase */
+      var stub = global.sinon.stub(connector.getDriverInst(), 'request',
+        function(req, cb) {
+          stub.restore();
+          var ddoc = '_design/LBModel__SearchProduct__LBSearch';
+          req.path.should.equal(ddoc + '/_search/products');
+          req.body.should.eql({
+            q: 'name:shoe*',
+            include_docs: true,
+            counts: ['brand'],
+            highlight_fields: ['name'],
+          });
+          process.nextTick(cb, null, {
+            total_rows: 1,
+            bookmark: 'g1AAAA',
+            counts: {brand: {acme: 1}},
+            rows: [{
+              id: 'p1',
+              order: [1.2],
+              fields: {},
+              highlights: {name: ['red <em>shoe</em>']},
+              doc: {_id: 'p1', _rev: '1-a', name: 'red shoe', brand: 'acme',
+                loopback__model__name: 'SearchProduct'},
+            }],
+          });
+        });
+      connector.search('SearchProduct', null, 'products', 'name:shoe*', {
+        counts: ['brand'],
+        highlight_fields: ['name'],
+      }, function(err, result) {
+        /* eslint-enable camelcase */
+        if (err) return done(err);
+        result.total.should.equal(1);
+        result.bookmark.should.equal('g1AAAA');
+        result.data.should.eql([{id: 'p1', _rev: '1-a', name: 'red shoe',
+          brand: 'acme'}]);
+        result.counts.should.eql({brand: {acme: 1}});
+        result.highlights.should.eql({p1: {name: ['red <em>shoe</em>']}});
+        done();
+      });
+    });
+
+  it('maps the search where operator to $text', function(done) {
+    var stub = global.sinon.stub(mo.db, 'find', function(query, cb) {
+      stub.restore();
+      query.selector.$text.should.equal('red shoe');
+      query.selector.price.should.eql({$lt: 50});
+      process.nextTick(cb, null, {docs: []});
+    });
+    Product.find({where: {search: 'red shoe', price: {lt: 50}}},
+      function(err, products) {
+        if (err) return done(err);
+        products.should.be.empty();
+        done();
+      });
+  });
+});
@@ -0,0 +1,241 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var should = require('should');
+var db, connector, Note, mo;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('softDelete', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    Note = db.define('SoftNote', {
+      id: {type: String, id: true},
+      title: {type: String},
+    }, {forceId: false, couchdb: {softDelete: true}});
+    db.automigrate('SoftNote', function(err) {
+      if (err) return done(err);
+      mo = connector.selectModel('SoftNote');
+      done();
+    });
+  });
+
+  beforeEach(function(done) {
+    Note.create([
+      {id: 'n1', title: 'a'},
+      {id: 'n2', title: 'b'},
+      {id: 'n3', title: 'c'},
+    ], done);
+  });
+
+  afterEach(function(done) {
+    Note.destroyAll({}, {hardDelete: true}, done);
+  });
+
+  it('keeps the document with the tombstone on destroy', function(done) {
+    Note.findById('n1', function(err, note) {
+      if (err) return done(err);
+      note.destroy({deletedBy: 'u1'}, function(err) {
+        if (err) return done(err);
+        mo.db.get('n1', function(err, doc) {
+          if (err) return done(err);
+          should.exist(doc.deletedAt);
+          doc.deletedBy.should.equal('u1');
+          doc.title.should.equal('a');
+          done();
+        });
+      });
+    });
+  });
+
+  it('leaves the soft deleted instances out of the queries', function(done) {
+    Note.destroyAll({title: {inq: ['a', 'b']}}, function(err, info) {
+      if (err) return done(err);
+      info.count.should.equal(2);
+      Note.find(function(err, notes) {
+        if (err) return done(err);
+        notes.map(function(note) {
+          return note.id;
+        }).should.eql(['n3']);
+        Note.count(function(err, count) {
+          if (err) return done(err);
+          count.should.equal(1);
+          Note.findByIds(['n1', 'n3'], function(err, notes) {
+            if (err) return done(err);
+            notes.should.have.length(1);
+            Note.exists('n1', function(err, exists) {
+              if (err) return done(err);
+              exists.should.be.false();
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('finds the soft deleted instances withDeleted', function(done) {
+    Note.destroyById('n2', function(err) {
+      if (err) return done(err);
+      Note.find({}, {withDeleted: true}, function(err, notes) {
+        if (err) return done(err);
+        notes.should.have.length(3);
+        Note.count({}, {withDeleted: true}, function(err, count) {
+          if (err) return done(err);
+          count.should.equal(3);
+          done();
+        });
+      });
+    });
+  });
+
+  it('leaves the soft deleted instances out of findById', function(done) {
+    Note.destroyById('n1', function(err) {
+      if (err) return done(err);
+      connector.findById('SoftNote', 'n1', {}, function(err, doc) {
+        if (err) return done(err);
+        doc.should.eql([]);
+        connector.findById('SoftNote', 'n1', {withDeleted: true},
+          function(err, doc) {
+            if (err) return done(err);
+            doc.title.should.equal('a');
+            done();
+          });
+      });
+    });
+  });
+
+  it('refuses to update the soft deleted instances', function(done) {
+    Note.findById('n1', function(err, note) {
+      if (err) return done(err);
+      note.destroy(function(err) {
+        if (err) return done(err);
+        note.updateAttributes({title: 'x'}, function(err) {
+          should.exist(err);
+          err.statusCode.should.equal(404);
+          err.code.should.equal('SOFT_DELETED');
+          Note.updateOrCreate({id: 'n1', title: 'y'}, function(err) {
+            should.exist(err);
+            err.code.should.equal('SOFT_DELETED');
+            mo.db.get('n1', function(err, doc) {
+              if (err) return done(err);
+              doc.title.should.equal('a');
+              should.exist(doc.deletedAt);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('refuses to replace the soft deleted instances', function(done) {
+    Note.destroyById('n1', function(err) {
+      if (err) return done(err);
+      Note.replaceOrCreate({id: 'n1', title: 'y'}, function(err) {
+        should.exist(err);
+        err.statusCode.should.equal(404);
+        err.code.should.equal('SOFT_DELETED');
+        mo.db.get('n1', function(err, doc) {
+          if (err) return done(err);
+          connector.replaceById('SoftNote', 'n1', {title: 'z', _rev: doc._rev},
+            {}, function(err) {
+              should.exist(err);
+              err.code.should.equal('SOFT_DELETED');
+              mo.db.get('n1', function(err, doc) {
+                if (err) return done(err);
+                doc.title.should.equal('a');
+                should.exist(doc.deletedAt);
+                done();
+              });
+            });
+        });
+      });
+    });
+  });
+
+  it('leaves the soft deleted instances out of aggregations', function(done) {
+    Note.destroyById('n2', function(err) {
+      if (err) return done(err);
+      connector.aggregate('SoftNote', {}, function(err, rows) {
+        if (err) return done(err);
+        rows.should.eql([{count: 2}]);
+        connector.aggregate('SoftNote', {}, {onlyDeleted: true},
+          function(err, rows) {
+            if (err) return done(err);
+            rows.should.eql([{count: 1}]);
+            done();
+          });
+      });
+    });
+  });
+
+  it('restores the soft deleted instances', function(done) {
+    Note.destroyAll(function(err) {
+      if (err) return done(err);
+      connector.restore('SoftNote', {id: 'n3'}, function(err, info) {
+        if (err) return done(err);
+        info.count.should.equal(1);
+        Note.find(function(err, notes) {
+          if (err) return done(err);
+          notes.map(function(note) {
+            return note.id;
+          }).should.eql(['n3']);
+          mo.db.get('n3', function(err, doc) {
+            if (err) return done(err);
+            should.not.exist(doc.deletedAt);
+            should.not.exist(doc.deletedBy);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('deletes the soft deleted instances with hardDelete', function(done) {
+    Note.destroyById('n1', function(err) {
+      if (err) return done(err);
+      Note.destroyAll({}, {hardDelete: true}, function(err, info) {
+        if (err) return done(err);
+        info.count.should.equal(3);
+        assertPurged(done);
+      });
+    });
+  });
+
+  it('deletes the soft deleted instances on automigrate', function(done) {
+    Note.destroyById('n1', function(err) {
+      if (err) return done(err);
+      db.automigrate('SoftNote', function(err) {
+        if (err) return done(err);
+        assertPurged(done);
+      });
+    });
+  });
+
+  function assertPurged(done) {
+    require('async').each(['n1', 'n2', 'n3'], function(id, cb) {
+      mo.db.get(id, function(err) {
+        should.exist(err);
+        err.statusCode.should.equal(404);
+        cb();
+      });
+    }, done);
+  }
+
+  it('requires the softDelete setting to restore', function(done) {
+    db.define('HardNote', {title: String});
+    connector.restore('HardNote', {}, {}, function(err) {
+      should.exist(err);
+      err.code.should.equal('SOFT_DELETE_DISABLED');
+      done();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var db, Item, mo;
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('stream', function() {
+  before(function(done) {
+    db = global.getDataSource();
+    Item = db.define('StreamItem', {
+      name: {type: String},
+      rank: {type: Number},
+    }, {forceId: false});
+    db.automigrate(function(err) {
+      if (err) return done(err);
+      mo = db.connector.selectModel('StreamItem');
+      var items = [];
+      for (var i = 0; i < 7; i++) items.push({name: 'item' + i, rank: i});
+      Item.create(items, done);
+    });
+  });
+
+  after(function(done) {
+    Item.destroyAll(done);
+  });
+
+  function collect(stream, cb) {
+    var results = [];
+    stream.on('data', function(item) {
+      results.push(item);
+    });
+    stream.on('error', cb);
+    stream.on('end', function() {
+      cb(null, results);
+    });
+  }
+
+  it('streams the converted instances page by page', function(done) {
+    var find = global.sinon.spy(mo.db, 'find');
+    collect(db.connector.stream('StreamItem', {where: {rank: {gte: 2}}},
+      {pageSize: 2}), function(err, items) {
+      find.restore();
+      if (err) return done(err);
+      items.should.have.length(5);
+      items[0].should.have.property('id');
+      items[0].should.not.have.property('_id');
+      items[0].should.not.have.property('loopback__model__name');
+      find.callCount.should.equal(3);
+      done();
+    });
+  });
+
+  it('honours order and limit', function(done) {
+    collect(db.connector.stream('StreamItem',
+      {order: 'rank DESC', limit: 3}, {pageSize: 2}), function(err, items) {
+      if (err) return done(err);
+      items.map(function(item) {
+        return item.rank;
+      }).should.eql([6, 5, 4]);
+      done();
+    });
+  });
+
+  it('fetches the next page only when it is read', function(done) {
+    var find = global.sinon.spy(mo.db, 'find');
+    var stream = db.connector.stream('StreamItem', {}, {pageSize: 2});
+    stream.once('readable', function() {
+      setTimeout(function() {
+        find.callCount.should.equal(1);
+        stream.read().should.have.property('name');
+        stream.destroy();
+        find.restore();
+        done();
+      }, 50);
+    });
+  });
+
+  it('skips the rows of the bookmark pages on fallback', function(done) {
+    var rows = ['a', 'b', 'c', 'd', 'e'].map(function(id) {
+      return {_id: id};
+    });
+    var find = global.sinon.stub(mo.db, 'find', function(query, cb) {
+      // a bookmark for the first page only
+      var skip = query.bookmark ? 2 : query.skip || 0;
+      process.nextTick(cb, null, {
+        docs: rows.slice(skip, skip + query.limit),
+        bookmark: (query.bookmark || skip > 0) ? 'nil' : 'b1',
+      });
+    });
+    collect(db.connector.stream('StreamItem', {}, {pageSize: 2, raw: true}),
+      function(err, docs) {
+        find.restore();
+        if (err) return done(err);
+        docs.map(function(doc) {
+          return doc._id;
+        }).should.eql(['a', 'b', 'c', 'd', 'e']);
+        find.args[2][0].skip.should.equal(4);
+        done();
+      });
+  });
+
+  it('emits the query errors', function(done) {
+    var stub = global.sinon.stub(mo.db, 'find', function(query, cb) {
+      var err = new Error('boom');
+      err.statusCode = 500;
+      process.nextTick(cb, err);
+    });
+    collect(db.connector.stream('StreamItem'), function(err) {
+      stub.restore();
+      err.statusCode.should.equal(500);
+      done();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// Copyright IBM Corp. 2017,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+var _ = require('lodash');
+var EventEmitter = require('events').EventEmitter;
+var should = require('should');
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+var db, TelemetryUser, records;
+
+describe('telemetry', function() {
+  before(function(done) {
+    records = [];
+    var config = _.assign({}, global.config, {
+      telemetry: function(record) {
+        records.push(record);
+      },
+    });
+    db = global.getDataSource(config);
+    TelemetryUser = db.define('TelemetryUser', {
+      name: {type: String},
+    }, {forceId: false});
+    db.automigrate(done);
+  });
+
+  beforeEach(function() {
+    records = [];
+  });
+
+  after(function(done) {
+    TelemetryUser.destroyAll(done);
+  });
+
+  it('sends a record for each operation to a function sink', function(done) {
+    TelemetryUser.create({name: 'Foo'}, {req: {id: 'req-1'}},
+      function(err, user) {
+        if (err) return done(err);
+        var record = _.find(records, {method: '_insert'});
+        should.exist(record);
+        record.requestId.should.equal('req-1');
+        record.model.should.equal('TelemetryUser');
+        record.docId.should.equal(user.id);
+        record.success.should.be.true();
+        should.not.exist(record.err);
+        record.time.should.be.a.Number();
+        done();
+      });
+  });
+
+  it('produces records with the same shape for queries', function(done) {
+    TelemetryUser.find({where: {name: 'Foo'}}, function(err) {
+      if (err) return done(err);
+      var record = _.find(records, {method: 'all'});
+      should.exist(record);
+      record.should.have.properties(['level', 'requestId', 'method', 'model',
+        'db', 'docId', 'query', 'result', 'success', 'err', 'time']);
+      record.result.should.equal(1);
+      record.query.selector.name.should.equal('Foo');
+      done();
+    });
+  });
+
+  it('emits records on an EventEmitter sink', function(done) {
+    var emitter = new EventEmitter();
+    var config = _.assign({}, global.config, {telemetry: emitter});
+    var ds = global.getDataSource(config);
+    var Model = ds.define('TelemetryUser', {name: {type: String}});
+    emitter.once('telemetry', function(record) {
+      record.method.should.equal('count');
+      done();
+    });
+    Model.count(function(err) {
+      if (err) return done(err);
+    });
+  });
+
+  it('sends no record without a telemetry setting', function() {
+    var ds = global.getDataSource();
+    should.not.exist(ds.connector.telemetry);
+  });
+});
@@ -0,0 +1,146 @@
+// Copyright IBM Corp. 2018,2019. All Rights Reserved.
+// Node module: loopback-connector-couchdb2
+// This file is licensed under the Apache License 2.0.
+// License text available at https://opensource.org/licenses/Apache-2.0
+
+'use strict';
+
+require('should');
+var db, connector, Product, mo;
+var DDOC_ID = '_design/LBModel__ValidatedProduct__LBValidate';
+
+if (!process.env.COUCHDB2_TEST_SKIP_INIT) {
+  require('./init.js');
+}
+
+describe('validate_doc_update', function() {
+  /* eslint camelcase: ["error", {properties: "never"}] */
+  before(function(done) {
+    db = global.getDataSource();
+    connector = db.connector;
+    Product = db.define('ValidatedProduct', {
+      name: {type: String, required: true},
+      price: {type: Number},
+      since: {type: Date},
+      tags: {type: [String]},
+    }, {forceId: false, couchdb: {validateDocUpdate: true}});
+    db.automigrate('ValidatedProduct', function(err) {
+      if (err) return done(err);
+      mo = connector.selectModel('ValidatedProduct');
+      done();
+    });
+  });
+
+  function validate(doc, cb) {
+    mo.db.get(DDOC_ID, function(err, ddoc) {
+      if (err) return cb(err);
+      var fn = new Function('return ' + ddoc.validate_doc_update)();
+      try {
+        fn(doc, null, {}, {});
+      } catch (e) {
+        return cb(null, e);
+      }
+      cb(null, null);
+    });
+  }
+
+  it('accepts the valid documents of the model', function(done) {
+    validate({
+      _id: 'p1',
+      loopback__model__name: 'ValidatedProduct',
+      name: 'pen',
+      price: 2,
+      since: '2019-01-01T00:00:00.000Z',
+      tags: ['office'],
+    }, function(err, rejection) {
+      if (err) return done(err);
+      (rejection === null).should.be.true();
+      done();
+    });
+  });
+
+  it('rejects missing required properties and wrong types', function(done) {
+    validate({
+      _id: 'p1',
+      loopback__model__name: 'ValidatedProduct',
+      price: 'cheap',
+      tags: 'office',
+    }, function(err, rejection) {
+      if (err) return done(err);
+      JSON.parse(rejection.forbidden).should.eql({
+        model: 'ValidatedProduct',
+        codes: {name: ['presence'], price: ['type'], tags: ['type']},
+        messages: {
+          name: ['can\'t be blank'],
+          price: ['is not a valid Number'],
+          tags: ['is not a valid Array'],
+        },
+      });
+      done();
+    });
+  });
+
+  it('ignores the documents of other models and deletions', function(done) {
+    validate({_id: 'x1', loopback__model__name: 'Other'},
+      function(err, rejection) {
+        if (err) return done(err);
+        (rejection === null).should.be.true();
+        validate({_id: 'p1', _deleted: true}, function(err, rejection) {
+          if (err) return done(err);
+          (rejection === null).should.be.true();
+          done();
+        });
+      });
+  });
+
+  it('maps the forbidden writes to a ValidationError', function(done) {
+    var reason = JSON.stringify({
+      model: 'ValidatedProduct',
+      codes: {price: ['type']},
+      messages: {price: ['is not a valid Number']},
+    });
+    var stub = global.sinon.stub(mo.db, 'insert', function(doc, cb) {
+      stub.restore();
+      var err = new Error(reason);
+      err.statusCode = 403;
+      err.error = 'forbidden';
+      err.reason = reason;
+      process.nextTick(cb, err);
+    });
+    connector.create('ValidatedProduct', {name: 'pen', price: 2}, {},
+      function(err) {
+        err.name.should.equal('ValidationError');
+        err.statusCode.should.equal(422);
+        err.details.should.eql({
+          context: 'ValidatedProduct',
+          codes: {price: ['type']},
+          messages: {price: ['is not a valid Number']},
+        });
+        err.message.should.containEql('`price` is not a valid Number');
+        done();
+      });
+  });
+
+  it('removes the function when the setting is turned off', function(done) {
+    Product.definition.settings.couchdb.validateDocUpdate = false;
+    db.autoupdate('ValidatedProduct', function(err) {
+      Product.definition.settings.couchdb.validateDocUpdate = true;
+      if (err) return done(err);
+      mo.db.get(DDOC_ID, function(err) {
+        err.statusCode.should.equal(404);
+        done();
+      });
+    });
+  });
+
+  it('writes the function again when the setting is back', function(done) {
+    db.autoupdate('ValidatedProduct', function(err) {
+      if (err) return done(err);
+      mo.db.get(DDOC_ID, function(err, ddoc) {
+        if (err) return done(err);
+        ddoc.validate_doc_update.should.match(/^function/);
+        done();
+      });
+    });
+  });
+});
@@ -80,6 +80,268 @@ describe('couchdb2 view', function() {
       });
     });
   });
+
+  describe('declared views', function() {
+    /* eslint camelcase: ["error", {properties: "never"}] */
+    var Order, connector, mo;
+    var byCustomer = {
+      map: 'function(doc) { if (doc.loopback__model__name === "ViewOrder") ' +
+        '{ emit(doc.customerId, doc.total); }}',
+      reduce: '_sum',
+    };
+    var byTotal = {
+      map: 'function(doc) { if (doc.loopback__model__name === "ViewOrder") ' +
+        '{ emit(doc.total, null); }}',
+    };
+
+    before(function(done) {
+      db = global.getDataSource();
+      connector = db.connector;
+      Order = db.define('ViewOrder', {
+        id: {type: String, id: true},
+        customerId: {type: String},
+        total: {type: Number},
+      }, {forceId: false, couchdb: {views: {
+        byCustomer: byCustomer,
+        byTotal: byTotal,
+      }}});
+      db.automigrate('ViewOrder', function(err) {
+        if (err) return done(err);
+        mo = connector.selectModel('ViewOrder');
+        Order.create([
+          {id: 'o1', customerId: 'c1', total: 10},
+          {id: 'o2', customerId: 'c1', total: 20},
+          {id: 'o3', customerId: 'c2', total: 5},
+        ], done);
+      });
+    });
+
+    it('creates a design doc per declared view', function(done) {
+      connector.getModelViews(mo, function(err, views) {
+        if (err) return done(err);
+        Object.keys(views).sort().should.eql(['byCustomer', 'byTotal']);
+        var ddoc = '_design/LBModel__ViewOrder__LBView__byCustomer';
+        views.byCustomer.ddoc.should.equal(ddoc);
+        views.byCustomer.content.should.eql({
+          language: 'javascript',
+          options: {partitioned: false},
+          views: {byCustomer: byCustomer},
+        });
+        done();
+      });
+    });
+
+    it('queries a declared view with Model.queryView', function(done) {
+      Order.queryView('byTotal', {startkey: 10, include_docs: true},
+        function(err, rows) {
+          if (err) return done(err);
+          rows.map(function(row) {
+            return [row.id, row.key];
+          }).should.eql([['o1', 10], ['o2', 20]]);
+          rows[0].doc.should.be.instanceOf(Order);
+          rows[0].doc.toObject().should.containEql({id: 'o1', total: 10});
+          done();
+        });
+    });
+
+    it('reduces a declared view and returns a promise', function() {
+      return Order.queryView('byCustomer', {group: true}).then(function(rows) {
+        rows.should.eql([{key: 'c1', value: 30}, {key: 'c2', value: 5}]);
+      });
+    });
+
+    it('rejects views not declared by the model', function(done) {
+      Order.queryView('byStatus', function(err) {
+        should.exist(err);
+        err.code.should.equal('VIEW_NOT_FOUND');
+        err.statusCode.should.equal(404);
+        done();
+      });
+    });
+
+    it('updates changed views and drops removed ones on autoupdate',
+      function(done) {
+        var before;
+        var views = Order.definition.settings.couchdb.views;
+        connector.getModelViews(mo, function(err, oldViews) {
+          if (err) return done(err);
+          before = oldViews;
+          Order.definition.settings.couchdb.views = {
+            byCustomer: _.assign({}, byCustomer, {reduce: '_count'}),
+          };
+          db.autoupdate('ViewOrder', function(err) {
+            Order.definition.settings.couchdb.views = views;
+            if (err) return done(err);
+            connector.getModelViews(mo, function(err, newViews) {
+              if (err) return done(err);
+              Object.keys(newViews).should.eql(['byCustomer']);
+              newViews.byCustomer.rev.should.not.equal(before.byCustomer.rev);
+              newViews.byCustomer.content.views.byCustomer.reduce
+                .should.equal('_count');
+              done();
+            });
+          });
+        });
+      });
+
+    it('keeps unchanged views on autoupdate', function(done) {
+      db.autoupdate('ViewOrder', function(err) {
+        if (err) return done(err);
+        connector.getModelViews(mo, function(err, views) {
+          if (err) return done(err);
+          var rev = views.byCustomer.rev;
+          db.autoupdate('ViewOrder', function(err) {
+            if (err) return done(err);
+            connector.getModelViews(mo, function(err, views) {
+              if (err) return done(err);
+              views.byCustomer.rev.should.equal(rev);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('viewModelDocs', function() {
+    /* eslint camelcase: ["error", {properties: "never"}] */
+    var DB_NAME = 'loopback-connector-couchdb2-view';
+    var Item, connector, driver;
+
+    before(function(done) {
+      db = global.getDataSource();
+      connector = db.connector;
+      driver = connector.getDriverInst();
+      Item = db.define('ViewItem', {
+        id: {type: Number, id: true},
+        kind: {type: String},
+        price: {type: Number},
+      }, {forceId: false, couchdb: {database: DB_NAME}});
+      var ddoc = {
+        _id: '_design/items',
+        views: {
+          byKind: {
+            map: 'function(doc) { if (doc.kind) emit(doc.kind, doc.price); }',
+            reduce: '_sum',
+          },
+        },
+      };
+      async.series([
+        function(cb) {
+          driver.db.create(DB_NAME, cb);
+        },
+        function(cb) {
+          driver.use(DB_NAME).insert(ddoc, cb);
+        },
+        function(cb) {
+          Item.create([
+            {id: 1, kind: 'book', price: 10},
+            {id: 2, kind: 'book', price: 15},
+            {id: 3, kind: 'pen', price: 2},
+            {id: 4, kind: 'pen', price: 3},
+            {id: 5, kind: 'tape', price: 4},
+          ], cb);
+        },
+      ], done);
+    });
+
+    after(function(done) {
+      driver.db.destroy(DB_NAME, done);
+    });
+
+    it('pages through the view of the model database', function(done) {
+      var params = {reduce: false, include_docs: true, limit: 3};
+      connector.viewModelDocs('ViewItem', 'items', 'byKind', params,
+        function(err, page) {
+          if (err) return done(err);
+          page.rows.map(function(row) {
+            return row.id;
+          }).should.eql([1, 2, 3]);
+          page.rows[0].doc.should.containEql({id: 1, kind: 'book'});
+          page.total.should.equal(5);
+          page.next.should.eql({startkey: 'pen', startkey_docid: '4'});
+          var nextParams = _.assign({}, params, page.next);
+          connector.viewModelDocs('ViewItem', 'items', 'byKind', nextParams,
+            function(err, page) {
+              if (err) return done(err);
+              page.rows.map(function(row) {
+                return row.id;
+              }).should.eql([4, 5]);
+              should.not.exist(page.next);
+              done();
+            });
+        });
+    });
+
+    it('resets the skip for the next page', function(done) {
+      var params = {reduce: false, skip: 1, limit: 2};
+      connector.viewModelDocs('ViewItem', 'items', 'byKind', params,
+        function(err, page) {
+          if (err) return done(err);
+          page.rows.map(function(row) {
+            return row.id;
+          }).should.eql([2, 3]);
+          page.next.should.eql({startkey: 'pen', startkey_docid: '4',
+            skip: 0});
+          var nextParams = _.assign({}, params, page.next);
+          connector.viewModelDocs('ViewItem', 'items', 'byKind', nextParams,
+            function(err, page) {
+              if (err) return done(err);
+              page.rows.map(function(row) {
+                return row.id;
+              }).should.eql([4, 5]);
+              done();
+            });
+        });
+    });
+
+    it('pages through the rows of a single key', function(done) {
+      var params = {reduce: false, key: 'pen', limit: 1};
+      connector.viewModelDocs('ViewItem', 'items', 'byKind', params,
+        function(err, page) {
+          if (err) return done(err);
+          page.rows.map(function(row) {
+            return row.id;
+          }).should.eql([3]);
+          page.next.should.eql({startkey_docid: '4'});
+          var nextParams = _.assign({}, params, page.next);
+          connector.viewModelDocs('ViewItem', 'items', 'byKind', nextParams,
+            function(err, page) {
+              if (err) return done(err);
+              page.rows.map(function(row) {
+                return row.id;
+              }).should.eql([4]);
+              should.not.exist(page.next);
+              done();
+            });
+        });
+    });
+
+    it('fetches multiple keys', function(done) {
+      connector.viewModelDocs('ViewItem', 'items', 'byKind', {
+        keys: ['tape', 'book'],
+        reduce: false,
+      }, function(err, page) {
+        if (err) return done(err);
+        page.rows.map(function(row) {
+          return [row.key, row.value];
+        }).should.eql([['tape', 4], ['book', 10], ['book', 15]]);
+        done();
+      });
+    });
+
+    it('returns grouped reduce results', function(done) {
+      connector.viewModelDocs('ViewItem', 'items', 'byKind', {
+        group: true,
+        limit: 2,
+      }, function(err, page) {
+        if (err) return done(err);
+        page.rows.should.eql([{key: 'book', value: 25}, {key: 'pen', value: 5}]);
+        page.next.should.eql({startkey: 'tape'});
+        done();
+      });
+    });
+  });
 });
 
 function generateSamples() {